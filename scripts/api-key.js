@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+// Generate an API key. The key itself is printed once and never stored; the
+// record (with its sha256 hash) goes into config/api-keys.json with --write,
+// or is printed for the api_keys table/collection (API_KEYS_SOURCE=db).
+//
+//   npm run api-key -- --id coordinator-app --scopes match --quota 500 --write
+//
+// Options:
+//   --id <name>        key id, shown in logs and 403/429 details (required)
+//   --scopes <list>    comma-separated: match, admin, health (default match)
+//   --rate <n>         requests per minute (default API_RATE_LIMIT_PER_MINUTE)
+//   --quota <n>        LLM calls per UTC day, 0 = unlimited (default API_DAILY_LLM_QUOTA)
+//   --expires <date>   ISO 8601 expiry
+//   --write            add to API_KEYS_FILE, replacing a key with the same id
+
+import 'dotenv/config';
+import { randomBytes } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { API_KEYS_FILE } from '../src/db.js';
+import { SCOPES, hashApiKey } from '../src/lib/auth.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    args[name] = name === 'write' ? true : argv[++i];
+  }
+  return args;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.id) fail('--id is required');
+const scopes = (args.scopes || 'match').split(',').map(s => s.trim()).filter(Boolean);
+const unknown = scopes.filter(s => !SCOPES.includes(s));
+if (unknown.length) fail(`Unknown scopes: ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+if (args.expires && Number.isNaN(Date.parse(args.expires))) fail('--expires must be an ISO 8601 date');
+
+const key = `wc_${randomBytes(24).toString('base64url')}`;
+const record = { id: args.id, hash: hashApiKey(key), scopes };
+if (args.rate != null) record.rateLimitPerMinute = Number(args.rate);
+if (args.quota != null) record.dailyLlmQuota = Number(args.quota);
+if (args.expires) record.expiresAt = new Date(args.expires).toISOString();
+
+if (args.write) {
+  const file = fs.existsSync(API_KEYS_FILE) ? JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')) : { keys: [] };
+  const keys = (Array.isArray(file) ? file : file.keys || []).filter(k => k.id !== record.id);
+  keys.push(record);
+  fs.mkdirSync(path.dirname(API_KEYS_FILE), { recursive: true });
+  fs.writeFileSync(API_KEYS_FILE, JSON.stringify({ ...(Array.isArray(file) ? {} : file), keys }, null, 2) + '\n');
+  console.log(`✓ Key "${record.id}" written to ${API_KEYS_FILE} (running servers pick it up within API_KEYS_CACHE_TTL_MS, or POST /admin/keys/reload)`);
+} else {
+  console.log(JSON.stringify(record, null, 2));
+}
+console.log(`\nAPI key (shown once, store it now):\n${key}`);
+process.exit(0);
@@ -47,12 +47,14 @@ run_scenario() {
     local END=$6
     local URGENT=$7
     local TOP_K=$8
-    local DESC=$9
+    local RADIUS=$9
+    local DESC=${10}
     
     echo "Scenario $CASE_ID: $DESC"
     echo "  City: $CITY"
     echo "  Services: $SERVICES"
     echo "  Expertise: $EXPERTISE"
+    echo "  Radius: ${RADIUS}km"
     
     # Build payload
     PAYLOAD="{\"city\":\"$CITY\",\"servicesQuery\":$SERVICES,\"expertiseQuery\":$EXPERTISE"
@@ -62,7 +64,7 @@ run_scenario() {
     if [ "$END" != "null" ]; then
         PAYLOAD="$PAYLOAD,\"end\":\"$END\""
     fi
-    PAYLOAD="$PAYLOAD,\"urgent\":$URGENT,\"topK\":$TOP_K}"
+    PAYLOAD="$PAYLOAD,\"radiusKm\":$RADIUS,\"urgent\":$URGENT,\"topK\":$TOP_K}"
     
     # Time the request
     START_TIME=$(date +%s%3N)
@@ -113,61 +115,61 @@ echo "----------------------------"
 
 # A: Tel Aviv, Wound Care, 30km radius
 run_scenario "A" "Tel Aviv" '["Wound Care"]' '["Post-Surgery Care"]' \
-    "2024-01-15T08:00:00Z" "2024-01-15T20:00:00Z" true 5 \
+    "2024-01-15T08:00:00Z" "2024-01-15T20:00:00Z" true 5 30 \
     "Tel Aviv wound care 30km"
 sleep 4
 
 # B: Jerusalem, Medication Administration, 40km
 run_scenario "B" "Jerusalem" '["Medication Administration"]' '["Pharmacy Services"]' \
-    "2024-02-01T09:00:00Z" "2024-02-01T17:00:00Z" false 5 \
+    "2024-02-01T09:00:00Z" "2024-02-01T17:00:00Z" false 5 40 \
     "Jerusalem medication 40km"
 sleep 4
 
 # C: Haifa, Pediatrics, 50km
 run_scenario "C" "Haifa" '["Pediatric Care"]' '["Child Care"]' \
-    "null" "null" false 10 \
+    "null" "null" false 10 50 \
     "Haifa pediatrics 50km"
 sleep 4
 
 # D: Beer Sheva, Hospital Care, 60km
 run_scenario "D" "Beer Sheva" '["Hospital Care"]' '["Inpatient Services"]' \
-    "2024-03-10T06:00:00Z" "2024-03-10T22:00:00Z" false 5 \
+    "2024-03-10T06:00:00Z" "2024-03-10T22:00:00Z" false 5 60 \
     "Beer Sheva hospital 60km"
 sleep 4
 
 # E: Rishon LeTsiyon, Home Care, 35km
 run_scenario "E" "Rishon LeTsiyon" '["Home Care"]' '["Mobile Patient Care"]' \
-    "null" "null" false 3 \
+    "null" "null" false 3 35 \
     "Rishon home care 35km"
 sleep 4
 
 # F: Netanya, Day Night nursing, 45km
 run_scenario "F" "Netanya" '["Day Night","Post-Surgery Care"]' '[]' \
-    "2024-04-01T08:00:00Z" "2024-04-30T18:00:00Z" false 7 \
+    "2024-04-01T08:00:00Z" "2024-04-30T18:00:00Z" false 7 45 \
     "Netanya day-night 45km"
 sleep 4
 
 # G: Ashdod, Geriatric Care, 55km
 run_scenario "G" "Ashdod" '["Geriatric Care"]' '["Elder Care"]' \
-    "null" "null" false 5 \
+    "null" "null" false 5 55 \
     "Ashdod geriatric 55km"
 sleep 4
 
 # H: Herzliya, Emergency Care, 30km, urgent
 run_scenario "H" "Herzliya" '["Emergency Care"]' '["Critical Care"]' \
-    "2024-05-15T10:00:00Z" "2024-05-15T14:00:00Z" true 5 \
+    "2024-05-15T10:00:00Z" "2024-05-15T14:00:00Z" true 5 30 \
     "Herzliya emergency 30km urgent"
 sleep 4
 
 # I: Ramat Gan, IV Therapy, 40km
 run_scenario "I" "Ramat Gan" '["IV Therapy","Catheter Care"]' '[]' \
-    "null" "null" false 10 \
+    "null" "null" false 10 40 \
     "Ramat Gan IV therapy 40km"
 sleep 4
 
 # J: Bat Yam, General Care, 50km
 run_scenario "J" "Bat Yam" '["General Care"]' '["Home Care"]' \
-    "2024-06-01T07:00:00Z" "2024-06-01T19:00:00Z" false 5 \
+    "2024-06-01T07:00:00Z" "2024-06-01T19:00:00Z" false 5 50 \
     "Bat Yam general care 50km"
 
 echo "=== CSV Smoke Tests Complete ==="
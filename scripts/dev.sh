@@ -3,8 +3,8 @@
 # Kill any existing node process on port 5003
 lsof -ti:5003 | xargs -r kill -9 2>/dev/null || true
 
-# Start the server in background
-nohup npm start >/tmp/llm-matching.log 2>&1 &
+# Start the server in background, without API keys unless asked for
+AUTH_DISABLED=${AUTH_DISABLED:-true} nohup npm start >/tmp/llm-matching.log 2>&1 &
 
 # Wait for server to start
 sleep 2
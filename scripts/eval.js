@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+// Offline evaluation: run the labeled scenarios through the match pipeline
+// and write eval/results/<label>.json plus eval/results/report.html, which
+// puts every run in the results directory side by side.
+//
+//   npm run eval -- --mode llm --prompt match-v3-concise --label concise
+//   npm run eval -- --report-only
+//
+// Options:
+//   --scenarios <file>   scenario file (default eval/scenarios.json)
+//   --mode <mode>        llm | rules | hybrid (default: each query's mode, else MATCH_MODE)
+//   --prompt <id>        prompt template for llm/hybrid (default PROMPT_VERSION)
+//   --k <n>              cut-off for precision@k and NDCG@k (default: scenario file k, else 5)
+//   --label <name>       run name and output file name (default <mode>-<timestamp>)
+//   --out <dir>          results directory (default eval/results)
+//   --input-price <usd>  USD per 1M prompt tokens (default: config/llm-prices.json)
+//   --output-price <usd> USD per 1M completion tokens
+//   --cache              allow LLM cache hits (bypassed by default)
+//   --report-only        rebuild report.html from the saved runs
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (['cache', 'report-only'].includes(name)) {
+      args[name] = true;
+    } else {
+      args[name] = argv[++i];
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const outDir = path.resolve(args.out || path.join(ROOT, 'eval', 'results'));
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+const fmt = {
+  ratio: v => (v == null ? 'n/a' : v.toFixed(3)),
+  pct: v => (v == null ? 'n/a' : `${(v * 100).toFixed(1)}%`),
+  ms: v => (v == null ? 'n/a' : `${v}ms`),
+  int: v => (v == null ? 'n/a' : String(v)),
+  usd: v => (v == null ? 'n/a' : `$${v.toFixed(4)}`)
+};
+
+function renderReport(runs) {
+  const summaryRows = [
+    ['Precision@k', r => fmt.ratio(r.summary.precisionAtK)],
+    ['NDCG@k', r => fmt.ratio(r.summary.ndcgAtK)],
+    ['Constraint violations', r => fmt.pct(r.summary.violationRate)],
+    ['Removed after ranking', r => fmt.int(r.summary.removedAfterRanking)],
+    ['Latency mean', r => fmt.ms(r.summary.latencyMs.mean)],
+    ['Latency p50 / p95', r => `${fmt.ms(r.summary.latencyMs.p50)} / ${fmt.ms(r.summary.latencyMs.p95)}`],
+    ['LLM calls', r => fmt.int(r.summary.tokens.calls)],
+    ['Tokens (prompt / completion)', r => `${r.summary.tokens.promptTokens} / ${r.summary.tokens.completionTokens}`],
+    ['Cost', r => fmt.usd(r.summary.costUsd)],
+    ['Errors / fallbacks', r => `${r.summary.errors} / ${r.summary.fallbacks}`]
+  ];
+  const scenarioIds = [...new Set(runs.flatMap(r => r.scenarios.map(s => s.id)))];
+
+  const cell = (outcome) => {
+    if (!outcome) return '<td class="muted">not run</td>';
+    if (outcome.error) return `<td class="error">${escapeHtml(outcome.error)}</td>`;
+    const ranked = outcome.results.slice(0, outcome.k ?? 5).map(r =>
+      `<span class="chip ${r.label || 'miss'}" title="${escapeHtml(r.id)}">${escapeHtml(r.name)}</span>`).join('');
+    return `<td>
+      <div>P@k ${fmt.ratio(outcome.precisionAtK)} · NDCG ${fmt.ratio(outcome.ndcgAtK)} · ${fmt.ms(outcome.latencyMs)}</div>
+      <div class="muted">${escapeHtml(outcome.engine)}${outcome.fallback ? ` (fallback: ${escapeHtml(outcome.fallback)})` : ''}${outcome.violations.length ? ` · <span class="error">${outcome.violations.length} violating</span>` : ''}</div>
+      <div>${ranked || '<span class="muted">no results</span>'}</div>
+    </td>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>LLM Matching Evaluation</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.5; margin: 0 auto; padding: 20px; background: #f5f5f5; max-width: 1600px; }
+        h1 { margin: 0 0 10px 0; color: #333; }
+        h2 { color: #333; margin-top: 30px; }
+        table { width: 100%; border-collapse: collapse; background: white; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        th { background: #f8f9fa; padding: 10px; text-align: left; color: #495057; border-bottom: 2px solid #dee2e6; vertical-align: top; }
+        td { padding: 10px; border-bottom: 1px solid #e9ecef; vertical-align: top; font-size: 14px; }
+        .muted { color: #888; font-size: 13px; }
+        .error { color: #a12622; }
+        .chip { display: inline-block; margin: 2px; padding: 1px 6px; border-radius: 10px; font-size: 12px; }
+        .chip.expected { background: #d4edda; color: #155724; }
+        .chip.acceptable { background: #fff3cd; color: #856404; }
+        .chip.miss { background: #f1f3f5; color: #666; }
+    </style>
+</head>
+<body>
+    <h1>LLM Matching Evaluation</h1>
+    <div class="muted">Generated: ${new Date().toLocaleString()} · chips: <span class="chip expected">expected</span><span class="chip acceptable">acceptable</span><span class="chip miss">unlabeled</span></div>
+
+    <h2>Summary</h2>
+    <table>
+        <thead>
+            <tr><th></th>${runs.map(r => `<th>${escapeHtml(r.run.label)}<div class="muted">${escapeHtml(r.run.mode)} · ${escapeHtml(r.run.promptVersion || 'no prompt')} · k=${r.run.k}<br>${escapeHtml(r.run.provider)}<br>${escapeHtml(r.run.startedAt)}</div></th>`).join('')}</tr>
+        </thead>
+        <tbody>
+            ${summaryRows.map(([label, value]) => `<tr><th>${label}</th>${runs.map(r => `<td>${value(r)}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+    </table>
+
+    <h2>Scenarios</h2>
+    <table>
+        <thead>
+            <tr><th>Scenario</th>${runs.map(r => `<th>${escapeHtml(r.run.label)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+            ${scenarioIds.map(id => {
+              const description = runs.map(r => r.scenarios.find(s => s.id === id)).find(Boolean)?.description;
+              return `<tr><th>${escapeHtml(id)}<div class="muted">${escapeHtml(description)}</div></th>${runs.map(r => cell(r.scenarios.find(s => s.id === id) && { ...r.scenarios.find(s => s.id === id), k: r.run.k })).join('')}</tr>`;
+            }).join('')}
+        </tbody>
+    </table>
+</body>
+</html>`;
+}
+
+function writeReport() {
+  const runs = fs.readdirSync(outDir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(outDir, f), 'utf8')))
+    .sort((a, b) => a.run.startedAt.localeCompare(b.run.startedAt));
+  const reportPath = path.join(outDir, 'report.html');
+  fs.writeFileSync(reportPath, renderReport(runs));
+  console.log(`✓ HTML report (${runs.length} runs): ${reportPath}`);
+}
+
+async function main() {
+  fs.mkdirSync(outDir, { recursive: true });
+  if (args['report-only']) return writeReport();
+
+  // Loaded after dotenv so the pipeline sees the same settings as the server
+  const { initDb, closeDb } = await import('../src/db.js');
+  const { getRoster } = await import('../src/lib/roster.js');
+  const { getProvider, isLlmConfigured } = await import('../src/lib/providers.js');
+  const { DEFAULT_PROMPT_VERSION } = await import('../src/lib/prompts.js');
+  const { runEvaluation } = await import('../src/lib/evaluation.js');
+
+  const scenariosFile = path.resolve(args.scenarios || path.join(ROOT, 'eval', 'scenarios.json'));
+  const file = JSON.parse(fs.readFileSync(scenariosFile, 'utf8'));
+  const k = Number(args.k) || file.k || 5;
+  const mode = args.mode || process.env.MATCH_MODE || 'llm';
+  const overrides = { mode };
+  if (args.prompt) overrides.promptVersion = args.prompt;
+  if (args.cache) overrides.cache = 'use';
+  const pricing = args['input-price'] != null || args['output-price'] != null
+    ? { inputPerMillion: Number(args['input-price']) || 0, outputPerMillion: Number(args['output-price']) || 0 }
+    : null;
+
+  const startedAt = new Date().toISOString();
+  const label = args.label || `${mode}-${startedAt.replace(/[:.]/g, '-')}`;
+  const run = {
+    label,
+    mode,
+    promptVersion: mode === 'rules' ? null : args.prompt || DEFAULT_PROMPT_VERSION,
+    provider: mode === 'rules' ? 'none' : isLlmConfigured() ? getProvider().describe() : 'not configured (rules fallback)',
+    k,
+    pricing,
+    scenariosFile: path.relative(ROOT, scenariosFile),
+    startedAt
+  };
+
+  await initDb();
+  const roster = await getRoster();
+  console.log(`Evaluating ${file.scenarios.length} scenarios (${label}: mode ${mode}, k=${k}, ${roster.nurses.length} nurses)`);
+  const { summary, scenarios } = await runEvaluation(file.scenarios, roster, { k, overrides, pricing });
+  await closeDb();
+
+  for (const s of scenarios) {
+    console.log(s.error
+      ? `  ${s.id}: ERROR ${s.error}`
+      : `  ${s.id}: P@${k} ${fmt.ratio(s.precisionAtK)}  NDCG ${fmt.ratio(s.ndcgAtK)}  ${s.latencyMs}ms${s.violations.length ? `  ${s.violations.length} violating` : ''}${s.fallback ? '  (fallback)' : ''}`);
+  }
+  console.log(`Precision@${k} ${fmt.ratio(summary.precisionAtK)}  NDCG@${k} ${fmt.ratio(summary.ndcgAtK)}  violations ${fmt.pct(summary.violationRate)}  p50 ${fmt.ms(summary.latencyMs.p50)}  tokens ${summary.tokens.totalTokens}  cost ${fmt.usd(summary.costUsd)}`);
+
+  const resultPath = path.join(outDir, `${label}.json`);
+  fs.writeFileSync(resultPath, JSON.stringify({ run, summary, scenarios }, null, 2));
+  console.log(`✓ Results: ${resultPath}`);
+  writeReport();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('Evaluation failed:', e);
+    process.exit(1);
+  });
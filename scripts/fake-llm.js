@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+// Local fake of a Chat Completions endpoint (Azure deployments path or
+// OpenAI-compatible /v1) for exercising the real clients without a model.
+// Any POST ending in /chat/completions is answered; point the app at it with
+//
+//   AZURE_OPENAI_URI=http://localhost:5090/openai/deployments/fake/chat/completions?api-version=2024-06-01
+//   AZURE_OPENAI_KEY=test
+//
+// or LLM_PROVIDER=openai OPENAI_BASE_URL=http://localhost:5090/v1 LLM_MODEL=fake.
+//
+// Each completion call takes the next step of the script; when the script is
+// empty it answers { "reply": "rank" }. Control endpoints:
+//
+//   POST /__fake/script  { "steps": [step, ...] }  replace the script
+//   GET  /__fake/calls   calls received so far: [{ at, path, headers, body, step }]
+//   POST /__fake/reset   clear script and calls
+//   POST /__fake/webhook webhook receiver for async jobs; answers 200 after
+//                        ?delayMs= (default 0)
+//   GET  /__fake/webhooks deliveries received: [{ at, answeredAt, answered,
+//                        headers, body }], answered false when the sender
+//                        hung up before the answer
+//
+// Steps (combine delayMs with any other):
+//   { "reply": "rank" }                 rank the prompt's candidates in order, best first
+//   { "json": { ... } }                 this object as the message content
+//   { "content": "..." }                this raw text as the message content (malformed JSON, fences, prose)
+//   { "choice": { ... } }               this object as choices[0] (e.g. { "text": "..." })
+//   { "status": 429, "retryAfter": 1 }  an error status, with Retry-After seconds and optional "body"
+//   { "delayMs": 1500 }                 wait before answering (slow model)
+//   { "hang": true }                    never answer; the client has to time out
+//   { "drop": true }                    close the socket without a response
+//
+// Requests with "stream": true get the content as Server-Sent Events, plus a
+// final usage chunk when stream_options.include_usage is set. Responses name
+// the request's model, else FAKE_LLM_MODEL (default gpt-4o-mini-2024-07-18).
+
+import http from 'http';
+
+const PORT = Number(process.env.FAKE_LLM_PORT) || 5090;
+const MODEL = process.env.FAKE_LLM_MODEL || 'gpt-4o-mini-2024-07-18';
+
+let script = [];
+let calls = [];
+let webhooks = [];
+
+const USAGE = { prompt_tokens: 850, completion_tokens: 96, total_tokens: 946 };
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Candidate ids from the prompt: the payload is a JSON line with { q, c }
+function candidateIds(body) {
+  const user = (body.messages || []).filter(m => m.role === 'user')[0]?.content || '';
+  for (const line of String(user).split('\n')) {
+    if (!line.startsWith('{')) continue;
+    try {
+      const payload = JSON.parse(line);
+      if (Array.isArray(payload.c)) return payload.c.map(c => c.id);
+    } catch {
+      // not the payload line
+    }
+  }
+  return [...String(user).matchAll(/"id":"([^"]+)"/g)].map(m => m[1]);
+}
+
+function rankContent(body) {
+  const results = candidateIds(body).slice(0, 5).map((id, i) => ({
+    id,
+    score: Number((0.95 - i * 0.1).toFixed(2)),
+    reason: `fake rank ${i + 1}`
+  }));
+  return JSON.stringify({ results });
+}
+
+function contentOf(step, body) {
+  if (step.content != null) return String(step.content);
+  if (step.json != null) return JSON.stringify(step.json);
+  return rankContent(body);
+}
+
+function sendCompletion(res, step, body) {
+  if (step.status) {
+    const headers = step.retryAfter != null ? { 'Retry-After': String(step.retryAfter) } : {};
+    return sendJson(res, step.status, step.body ?? { error: { message: `fake ${step.status}` } }, headers);
+  }
+  if (body.stream && !step.choice) {
+    const content = contentOf(step, body);
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (let i = 0; i < content.length; i += 16) {
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: content.slice(i, i + 16) } }] })}\n\n`);
+    }
+    if (body.stream_options?.include_usage) {
+      res.write(`data: ${JSON.stringify({ choices: [], model: body.model || MODEL, usage: USAGE })}\n\n`);
+    }
+    res.end('data: [DONE]\n\n');
+    return;
+  }
+  const choice = step.choice ?? { index: 0, message: { role: 'assistant', content: contentOf(step, body) }, finish_reason: 'stop' };
+  sendJson(res, 200, { id: `fake-${calls.length}`, object: 'chat.completion', model: body.model || MODEL, choices: [choice], usage: USAGE });
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try { resolve(raw ? JSON.parse(raw) : {}); } catch { resolve({ unparsable: raw }); }
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const path = req.url.split('?')[0];
+  const body = req.method === 'POST' ? await readJson(req) : {};
+
+  if (path === '/__fake/script' && req.method === 'POST') {
+    script = Array.isArray(body.steps) ? [...body.steps] : [];
+    return sendJson(res, 200, { steps: script.length });
+  }
+  if (path === '/__fake/calls') return sendJson(res, 200, { count: calls.length, calls });
+  if (path === '/__fake/reset' && req.method === 'POST') {
+    script = [];
+    calls = [];
+    webhooks = [];
+    return sendJson(res, 200, { ok: true });
+  }
+  if (path === '/__fake/webhooks') return sendJson(res, 200, { count: webhooks.length, webhooks });
+  if (path === '/__fake/webhook' && req.method === 'POST') {
+    const delivery = {
+      at: Date.now(),
+      headers: { 'x-job-id': req.headers['x-job-id'], 'x-webhook-signature': req.headers['x-webhook-signature'] },
+      body
+    };
+    webhooks.push(delivery);
+    const delayMs = Number(new URL(req.url, 'http://fake').searchParams.get('delayMs')) || 0;
+    if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+    delivery.answeredAt = Date.now();
+    delivery.answered = !res.destroyed && !req.socket.destroyed;
+    return sendJson(res, 200, { ok: true });
+  }
+  if (req.method !== 'POST' || !path.endsWith('/chat/completions')) {
+    return sendJson(res, 404, { error: { message: `fake LLM: no route ${req.method} ${path}` } });
+  }
+
+  const step = script.length ? script.shift() : { reply: 'rank' };
+  calls.push({
+    at: Date.now(),
+    path,
+    headers: { 'api-key': req.headers['api-key'] ? '[set]' : undefined, authorization: req.headers.authorization ? '[set]' : undefined },
+    body,
+    step
+  });
+
+  if (step.drop) return req.socket.destroy();
+  if (step.hang) return; // left open until the client gives up
+  if (step.delayMs) await new Promise(r => setTimeout(r, step.delayMs));
+  if (!res.destroyed) sendCompletion(res, step, body);
+});
+
+server.listen(PORT, () => console.log(`Fake LLM listening on http://localhost:${PORT}`));
@@ -0,0 +1,362 @@
+#!/bin/bash
+
+# End-to-end tests of the LLM path (client retries/backoff, text extraction,
+# validation/repair, result mapping, fallback, usage accounting, metrics, and
+# that no roster id or name leaves the process) through POST /match, against
+# the scripted fake in scripts/fake-llm.js, then the readiness probe and a
+# graceful shutdown with a pending job webhook. No credentials or network needed.
+#
+#   npm run test:fake
+#
+# FAKE_LLM_PORT (default 5090), APP_PORT (default 5095) and AUTH_APP_PORT
+# (default 5096, a second app with an API key store) must be free.
+
+set -u
+
+FAKE_PORT=${FAKE_LLM_PORT:-5090}
+APP_PORT=${APP_PORT:-5095}
+AUTH_APP_PORT=${AUTH_APP_PORT:-5096}
+FAKE="http://localhost:$FAKE_PORT"
+APP="http://localhost:$APP_PORT"
+AUTH_APP="http://localhost:$AUTH_APP_PORT"
+LOG_DIR=$(mktemp -d)
+PASS=0
+FAIL=0
+
+echo "=== LLM Client Tests (fake Chat Completions server) ==="
+echo "Logs: $LOG_DIR"
+echo ""
+
+# Both processes are started here and stopped by PID on exit
+FAKE_LLM_PORT=$FAKE_PORT timeout 300 node scripts/fake-llm.js > "$LOG_DIR/fake.log" 2>&1 &
+FAKE_PID=$!
+PORT=$APP_PORT \
+  LLM_PROVIDER=azure-chat \
+  AZURE_OPENAI_URI="$FAKE/openai/deployments/fake/chat/completions?api-version=2024-06-01" \
+  AZURE_OPENAI_KEY=test \
+  MATCH_MODE=llm \
+  LLM_CACHE_TTL_MS=0 \
+  LLM_TIMEOUT_MS=1000 \
+  LLM_MAX_ATTEMPTS=3 \
+  LLM_STREAM_USAGE=true \
+  LOG_LEVEL=debug \
+  READINESS_LLM_PROBE=true \
+  READINESS_PROBE_TTL_MS=1 \
+  READINESS_CACHE_MS=0 \
+  SHUTDOWN_TIMEOUT_MS=500 \
+  WEBHOOK_SECRET=fake-llm-test \
+  WEBHOOK_ALLOWED_HOSTS=localhost \
+  USE_DB=false \
+  AUTH_DISABLED=true \
+  timeout 300 node src/index.js > "$LOG_DIR/app.log" 2>&1 &
+APP_PID=$!
+trap 'kill $APP_PID $FAKE_PID 2>/dev/null' EXIT
+
+for _ in $(seq 1 40); do
+  curl -sf "$APP/health" > /dev/null && curl -sf "$FAKE/__fake/calls" > /dev/null && break
+  sleep 0.5
+done
+if ! curl -sf "$APP/health" > /dev/null; then
+  echo "App did not start; see $LOG_DIR/app.log"
+  exit 1
+fi
+
+PAYLOAD='{"city":"Tel Aviv","servicesQuery":["Wound Care"],"radiusKm":10,"topK":5}'
+
+# Replace the fake's script: fake '[{"status":503},{"reply":"rank"}]'
+fake() {
+  curl -sf -X POST "$FAKE/__fake/reset" > /dev/null
+  curl -sf -X POST "$FAKE/__fake/script" -H "Content-Type: application/json" -d "{\"steps\":$1}" > /dev/null
+}
+
+# POST /match; sets BODY, STATUS and ELAPSED_MS
+match() {
+  local started=$(date +%s%3N)
+  local out
+  out=$(curl -s --max-time 30 -w '\n%{http_code}' -X POST "$APP${2:-/match}" -H "Content-Type: application/json" -d "${1:-$PAYLOAD}")
+  ELAPSED_MS=$(( $(date +%s%3N) - started ))
+  STATUS=$(echo "$out" | tail -n 1)
+  BODY=$(echo "$out" | sed '$d')
+}
+
+CALLS='{}'
+calls() { CALLS=$(curl -sf "$FAKE/__fake/calls"); }
+
+# check "description" <jq filter over BODY that must be true>
+check() {
+  if echo "$BODY" | jq -e "$2" > /dev/null 2>&1; then
+    PASS=$((PASS + 1)); echo "  ✓ $1"
+  else
+    FAIL=$((FAIL + 1)); echo "  ✗ $1"
+    echo "    body: $(echo "$BODY" | head -c 400)"
+  fi
+}
+
+# check_calls "description" <jq filter over the fake's call log>
+check_calls() {
+  if echo "$CALLS" | jq -e "$2" > /dev/null 2>&1; then
+    PASS=$((PASS + 1)); echo "  ✓ $1"
+  else
+    FAIL=$((FAIL + 1)); echo "  ✗ $1"
+    echo "    calls: $(echo "$CALLS" | jq -c '[.calls[] | {at, step}]' | head -c 400)"
+  fi
+}
+
+echo "Canned ranking"
+fake '[{"reply":"rank"}]'
+match; calls
+check "200 from the llm engine" '.engine == "llm"'
+check "five results with names mapped from the roster" '(.results | length) == 5 and all(.results[]; (.name | startswith("Nurse ")))'
+check "scores kept in order" '[.results[].score] == ([.results[].score] | sort | reverse)'
+check "no validation errors" '.validation.errors == [] and .validation.repaired == false'
+check "usage taken from the response" '.usage.calls == 1 and .usage.totalTokens == 946'
+check "cost priced from the response's model (gpt-4o-mini prefix)" '.usage.model == "gpt-4o-mini-2024-07-18" and .usage.costUsd == 0.000185 and .usage.retries == 0'
+check_calls "one call with the api-key header and computed max_tokens" '.count == 1 and .calls[0].headers["api-key"] == "[set]" and .calls[0].body.max_tokens == 464'
+IDS=$(echo "$CALLS" | jq -c '[.calls[0].body.messages[1].content | split("\n")[] | select(startswith("{")) | fromjson | .c[].id]')
+check "results mapped back from the prompt's pseudonyms to roster ids" "($IDS | all(test(\"^nurse-[0-9]+$\"))) and all(.results[].id; test(\"^nurse-\") | not)"
+
+echo "Text extraction"
+FIRST=$(echo "$IDS" | jq -r '.[0]')
+fake "[{\"content\":\"\`\`\`json\\n{\\\"results\\\":[{\\\"id\\\":\\\"$FIRST\\\",\\\"score\\\":0.9,\\\"reason\\\":\\\"fenced\\\"}]}\\n\`\`\`\"}]"
+match
+check "fenced JSON is parsed" ".results[0].reason == \"fenced\""
+fake "[{\"content\":\"Here is the ranking: {\\\"results\\\":[{\\\"id\\\":\\\"$FIRST\\\",\\\"score\\\":0.8,\\\"reason\\\":\\\"prose\\\"}]} Hope this helps.\"}]"
+match
+check "JSON wrapped in prose is parsed" ".results[0].reason == \"prose\""
+fake "[{\"choice\":{\"index\":0,\"text\":\"{\\\"results\\\":[{\\\"id\\\":\\\"$FIRST\\\",\\\"score\\\":0.7,\\\"reason\\\":\\\"legacy\\\"}]}\"}}]"
+match
+check "choices[0].text is read when there is no message" ".results[0].reason == \"legacy\""
+
+echo "Result mapping and validation"
+fake "[{\"json\":{\"results\":[{\"id\":\"ghost\",\"score\":0.99,\"reason\":\"x\"},{\"id\":\"$FIRST\",\"score\":7,\"reason\":\"clamped\"}]}},{\"json\":{\"results\":[{\"id\":\"ghost\",\"score\":0.99,\"reason\":\"x\"}]}}]"
+match; calls
+check "unknown id dropped and reported" '.validation.dropped | any(.id == "ghost")'
+check "out-of-range score clamped to 1" ".results[0].reason == \"clamped\" and .results[0].score <= 1"
+check_calls "one repair call after the sloppy answer" '.count == 2 and (.calls[1].body.messages | last | .content | contains("failed validation"))'
+
+echo "Malformed JSON"
+fake '[{"content":"{\"results\": [ {\"id\": "},{"reply":"rank"}]'
+match; calls
+check "repaired on the second call" '.engine == "llm" and .validation.repaired == true and (.results | length) == 5'
+check "usage counts both calls" '.usage.calls == 2 and .usage.totalTokens == 1892'
+check_calls "the repair call carries the bad answer back" '.count == 2 and (.calls[1].body.messages | length) == 4'
+fake '[{"content":"not json"},{"content":"still not json"}]'
+match
+check "falls back to rules when the repair fails too" '.engine == "rules" and (.fallback.reason | contains("valid JSON"))'
+
+echo "429 with Retry-After"
+fake '[{"status":429,"retryAfter":1},{"reply":"rank"}]'
+match; calls
+check "succeeds after the rate limit" '.engine == "llm" and (.results | length) == 5'
+check_calls "retried once, after waiting at least Retry-After" '.count == 2 and (.calls[1].at - .calls[0].at) >= 1000'
+check "usage counts the retry and its wait" '.usage.calls == 1 and .usage.retries == 1 and .usage.latencyMs >= 1000'
+
+echo "5xx backoff"
+fake '[{"status":503},{"status":502},{"reply":"rank"}]'
+match; calls
+check "succeeds on the third attempt" '.engine == "llm"'
+check_calls "three attempts with growing backoff (250ms, 500ms)" '.count == 3 and (.calls[1].at - .calls[0].at) >= 250 and (.calls[2].at - .calls[1].at) >= 500'
+fake '[{"status":500},{"status":500},{"status":500},{"reply":"rank"}]'
+match; calls
+check "gives up after LLM_MAX_ATTEMPTS and falls back" '.engine == "rules" and (.fallback.reason | contains("500"))'
+check_calls "exactly three attempts" '.count == 3'
+check "the failed call is still in usage" '.usage.calls == 1 and .usage.retries == 2 and .usage.perCall[0].ok == false and .usage.costUsd == null'
+
+echo "Non-retryable 4xx"
+fake '[{"status":400,"body":{"error":{"message":"bad deployment"}}},{"reply":"rank"}]'
+match; calls
+check "falls back with the provider message" '.engine == "rules" and (.fallback.reason | contains("bad deployment"))'
+check_calls "not retried" '.count == 1'
+
+echo "Slow responses and timeouts"
+fake '[{"delayMs":700,"reply":"rank"}]'
+match
+check "a slow answer inside the timeout is used" '.engine == "llm"'
+if [ "$ELAPSED_MS" -ge 700 ]; then PASS=$((PASS + 1)); echo "  ✓ request waited for it (${ELAPSED_MS}ms)"; else FAIL=$((FAIL + 1)); echo "  ✗ request returned too early (${ELAPSED_MS}ms)"; fi
+fake '[{"hang":true},{"reply":"rank"}]'
+match; calls
+check "a hung attempt times out and is retried" '.engine == "llm"'
+check_calls "second attempt about LLM_TIMEOUT_MS later" '.count == 2 and (.calls[1].at - .calls[0].at) >= 1000'
+fake '[{"hang":true},{"hang":true},{"hang":true}]'
+match; calls
+check "falls back after every attempt timed out" '.engine == "rules" and (.fallback.reason | contains("timeout"))'
+fake '[{"drop":true},{"reply":"rank"}]'
+match; calls
+check "a dropped connection is retried" '.engine == "llm"'
+
+echo "Streaming"
+fake '[{"reply":"rank"}]'
+match "$PAYLOAD" /match/stream
+BODY=$(echo "$BODY" | awk '/^event: /{e=$2} /^data: /{sub(/^data: /,""); print "{\"event\":\"" e "\",\"data\":" $0 "}"}' | jq -s '.')
+check "provisional results streamed before the final answer" 'any(.[]; .event == "result" and .data.provisional == true)'
+check "final event carries the mapped results" '(map(select(.event == "done")) | last | .data.results | length) == 5'
+check "streamed answer reports usage from the final chunk" '(map(select(.event == "done")) | last | .data.usage.totalTokens) == 946'
+
+echo "Usage metrics"
+BEFORE=$(curl -sf "$APP/metrics/usage" | jq .totals)
+fake '[{"reply":"rank"}]'
+curl -s -o /dev/null -X POST "$APP/match" -H "Content-Type: application/json" -H "X-Request-Id: fake-llm-usage" -d "$PAYLOAD"
+BODY=$(curl -sf "$APP/metrics/usage" | jq --argjson before "$BEFORE" '.totals as $after
+  | {requests, calls, promptTokens, completionTokens, costUsd} | with_entries(.value = $after[.key] - $before[.key])')
+check "one canned match adds its tokens and cost to the totals" '.requests == 1 and .calls == 1 and .promptTokens == 850 and .completionTokens == 96 and ((.costUsd * 1e6 - 185) | fabs) <= 1'
+BODY=$(grep '"requestId":"fake-llm-usage"' "$LOG_DIR/app.log" | jq -s 'map(select(.msg == "LLM usage")) | first')
+check "its LLM usage log line has non-zero tokens and cost" '.calls == 1 and .promptTokens == 850 and .completionTokens == 96 and .costUsd > 0'
+BODY=$(curl -sf "$APP/metrics/usage")
+check "totals add up the calls made so far" '.totals.calls >= 15 and .totals.retries >= 5 and .totals.failedCalls == 3 and .totals.costUsd > 0'
+check "grouped by client, prompt version and model" '.byClient[0].client == "anonymous" and (.byPromptVersion[0].promptVersion | startswith("match-v2@")) and any(.byModel[]; .model == "gpt-4o-mini-2024-07-18")'
+check "one row for today" "(.byDay | length) == 1 and .byDay[0].day == \"$(date -u +%F)\""
+
+echo "Metrics and request ids"
+# Series read before and after one match that is retried once
+SERIES='[
+  "llm_calls_total{provider=\"azure-chat\",kind=\"rank\",outcome=\"ok\",status=\"200\"}",
+  "llm_calls_total{provider=\"azure-chat\",kind=\"rank\",outcome=\"error\",status=\"503\"}",
+  "llm_retries_total{provider=\"azure-chat\"}",
+  "llm_call_duration_seconds_count{provider=\"azure-chat\",outcome=\"ok\"}",
+  "http_requests_total{method=\"POST\",route=\"/match\",status=\"200\"}"
+]'
+# Values of SERIES in the current /metrics output (0 when not exported yet)
+scrape() {
+  curl -sf "$APP/metrics" | jq -Rs --argjson series "$SERIES" '
+    [split("\n")[] | select(length > 0 and (startswith("#") | not)) | capture("^(?<name>\\S+) (?<value>\\S+)$")]
+    | map({(.name): (.value | tonumber)}) | add as $values
+    | $series | map({(.): ($values[.] // 0)}) | add'
+}
+BEFORE=$(scrape)
+fake '[{"status":503},{"reply":"rank"}]'
+curl -s -o /dev/null -X POST "$APP/match" -H "Content-Type: application/json" -H "X-Request-Id: fake-llm-trace" -d "$PAYLOAD"
+BODY=$(scrape | jq --argjson before "$BEFORE" 'with_entries(.value -= $before[.key]) | [.[]]')
+check "a match retried once adds one ok call, one retry, one latency sample and one 200" '. == [1, 0, 1, 1, 1]'
+BODY=$(grep '"requestId":"fake-llm-trace"' "$LOG_DIR/app.log" | jq -s '[.[].msg]')
+check "request id carried from the handler into the LLM client" 'index("LLM ranking") and index("Azure retrying") and index("Request")'
+
+echo "Privacy"
+curl -sf "$APP/nurses?limit=1000" | jq '[.nurses[] | {id, name}]' > "$LOG_DIR/roster.json"
+curl -sf -X POST "$FAKE/__fake/reset" > /dev/null
+match '{"lat":32.0853,"lng":34.7818,"servicesQuery":["Wound Care"],"radiusKm":10,"topK":5,"mode":"hybrid"}'
+check "results carry roster ids and names" "all(.results[]; .name | startswith(\"Nurse \"))"
+match '{"city":"Haifa","servicesQuery":["Catheter Care"],"urgent":true,"topK":3}'
+curl -sf -X POST "$FAKE/__fake/script" -H "Content-Type: application/json" \
+  -d "{\"steps\":[{\"json\":{\"results\":[{\"id\":\"nurse-1\",\"score\":0.9,\"reason\":\"closer than nurse-2\"}]}}]}" > /dev/null
+match '{"city":"Ramat Gan","servicesQuery":["Home Care"],"topK":3}'
+check "pseudonyms quoted in reasons are replaced by names" '(.results[0].reason | test("^closer than Nurse [0-9]+$"))'
+match "$PAYLOAD" /match/stream
+calls
+echo "$CALLS" | jq '[.calls[].body | tojson]' > "$LOG_DIR/bodies.json"
+BODY=$(jq -n --slurpfile roster "$LOG_DIR/roster.json" --slurpfile bodies "$LOG_DIR/bodies.json" \
+  '{ calls: ($bodies[0] | length),
+     leaks: [$roster[0][] as $n | $bodies[0][] | select(contains($n.id) or contains($n.name)) | $n.id] | unique }')
+check "no roster id or name in any request sent to the LLM" '.calls >= 4 and .leaks == []'
+check_calls "patient coordinates are coarsened" 'all(.calls[].body | tojson; contains("32.0853") | not) and any(.calls[].body | tojson; contains("32.09"))'
+PAYLOADS=$(echo "$CALLS" | jq '[.calls[].body.messages[1].content | split("\n")[] | select(startswith("{")) | fromjson]')
+BODY=$PAYLOADS
+check "candidate coordinates have at most two decimals" 'all(.[].c[] | (.lat, .lng) | select(. != null); ((. * 100) - (. * 100 | round) | fabs) < 1e-6)'
+check "only allow-listed fields are sent" 'all(.[].c[]; keys - ["id","city","lat","lng","rating","reviewsCount","services","expertiseTags","gender","languages","mobility","hourlyRate","availability","availabilityCoverage","alreadyBooked"] == [])'
+if grep -q "32.0853" "$LOG_DIR/app.log" || grep -qE "Nurse [0-9]+" "$LOG_DIR/app.log"; then
+  FAIL=$((FAIL + 1)); echo "  ✗ app log contains patient coordinates or nurse names"
+else
+  PASS=$((PASS + 1)); echo "  ✓ app log has no patient coordinates or nurse names"
+fi
+
+echo "Exclusive batch"
+# More overlapping requests for one pool than the default shortlist (10) holds
+BATCH_QUERY='{"city":"Tel Aviv","servicesQuery":["Wound Care"],"radiusKm":10,"topK":3,"mode":"rules","start":"2024-03-10T08:00:00Z","end":"2024-03-10T12:00:00Z"}'
+BODY=$(curl -s --max-time 30 -X POST "$APP/match/batch" -H "Content-Type: application/json" \
+  -d "$(jq -n --argjson q "$BATCH_QUERY" '{exclusive: true, queries: [range(14) | $q]}')")
+check "14 overlapping requests each get a different nurse" '.succeeded == 14 and ([.queries[].assigned | select(. != null)] | unique | length) == 14'
+check "each keeps topK results, none held by an earlier request" 'all(.queries[]; .count == 3 and .results[0].id == .assigned)'
+
+echo "API keys"
+# A second app with one key: 4 requests a minute, 1 LLM call a day
+API_KEY=wc_fake_llm_test_key
+jq -n --arg hash "$(node -e 'import("./src/lib/auth.js").then(a => console.log(a.hashApiKey(process.argv[1])))' "$API_KEY")" \
+  '{keys: [{id: "limited", hash: $hash, scopes: ["match"], rateLimitPerMinute: 4, dailyLlmQuota: 1}]}' > "$LOG_DIR/api-keys.json"
+PORT=$AUTH_APP_PORT \
+  LLM_PROVIDER=azure-chat \
+  AZURE_OPENAI_URI="$FAKE/openai/deployments/fake/chat/completions?api-version=2024-06-01" \
+  AZURE_OPENAI_KEY=test \
+  MATCH_MODE=llm \
+  LLM_CACHE_TTL_MS=0 \
+  USE_DB=false \
+  API_KEYS_FILE="$LOG_DIR/api-keys.json" \
+  timeout 120 node src/index.js > "$LOG_DIR/auth-app.log" 2>&1 &
+AUTH_PID=$!
+trap 'kill $APP_PID $FAKE_PID $AUTH_PID 2>/dev/null' EXIT
+for _ in $(seq 1 40); do curl -sf "$AUTH_APP/health" > /dev/null && break; sleep 0.5; done
+
+# keyed <key or ""> <body>: POST /match on the keyed app; sets BODY to
+# { status, retryAfter, body }
+keyed() {
+  local out
+  out=$(curl -s --max-time 30 -D "$LOG_DIR/headers.txt" -w '\n%{http_code}' -X POST "$AUTH_APP/match" \
+    -H "Content-Type: application/json" ${1:+-H "X-API-Key: $1"} -d "$2")
+  BODY=$(jq -n --argjson status "$(echo "$out" | tail -n 1)" --argjson body "$(echo "$out" | sed '$d')" \
+    --arg retryAfter "$(grep -i '^retry-after:' "$LOG_DIR/headers.txt" | tr -d '\r' | cut -d' ' -f2)" \
+    '{status: $status, retryAfter: ($retryAfter | tonumber? // null), body: $body}')
+}
+
+RULES_PAYLOAD='{"city":"Tel Aviv","servicesQuery":["Wound Care"],"radiusKm":10,"topK":5,"mode":"rules"}'
+keyed "" "$RULES_PAYLOAD"
+check "401 without a key" '.status == 401'
+fake '[{"reply":"rank"},{"reply":"rank"}]'
+keyed "$API_KEY" "$RULES_PAYLOAD"
+check "rules-mode match with the key is not charged to the LLM quota" '.status == 200 and .body.engine == "rules"'
+keyed "$API_KEY" "$(echo "$PAYLOAD" | jq -c '.promptVersion = "no-such-version"')"
+check "LLM match rejected as invalid (unknown promptVersion) is given back its quota" '.status == 400 and .body.errors[0].field == "promptVersion"'
+keyed "$API_KEY" "$PAYLOAD"
+check "first LLM match fits the daily quota" '.status == 200 and .body.engine == "llm"'
+keyed "$API_KEY" "$PAYLOAD"
+check "second LLM match: 429 with Retry-After at UTC midnight" '.status == 429 and .body.error == "Daily LLM quota exceeded" and .retryAfter > 0 and .retryAfter <= 86400'
+keyed "$API_KEY" "$RULES_PAYLOAD"
+check "fifth request in the minute: 429 with Retry-After inside the window" '.status == 429 and .body.error == "Rate limit exceeded" and .retryAfter >= 1 and .retryAfter <= 60'
+calls
+check_calls "requests refused by the quota never reach the LLM" '.count == 1'
+kill $AUTH_PID 2>/dev/null
+
+echo "Readiness"
+fake '[{"reply":"rank"}]'
+BODY=$(curl -s -w '\n%{http_code}' "$APP/health/ready/details" | jq -s '{status: .[1], report: .[0]}')
+check "ready after a successful provider probe" '.status == 200 and .report.ready and .report.checks.llm.probe.ok and .report.checks.roster.count > 0'
+fake '[{"status":401}]'
+BODY=$(curl -s -w '\n%{http_code}' "$APP/health/ready/details" | jq -s '{status: .[1], report: .[0]}')
+check "503 when the probe fails" '.status == 503 and (.report.ready | not) and .report.checks.llm.status == "fail" and .report.checks.llm.probe.status == 401'
+fake '[{"status":401}]'
+BODY=$(curl -s -w '\n%{http_code}' "$APP/health/ready" | jq -s '{status: .[1], report: .[0]}')
+check "open readiness only says which check fails" '.status == 503 and .report == {status: "not_ready", checks: {database: "pass", roster: "pass", llm: "fail", shutdown: "pass"}}'
+
+echo "Graceful shutdown"
+# The first match finishes inside SHUTDOWN_TIMEOUT_MS, the second is aborted at it
+# (times in ms since the epoch, to show the drained answer came after SIGTERM
+# and before the exit)
+fake '[{"delayMs":400,"reply":"rank"},{"hang":true}]'
+(curl -s -w '\n%{http_code}' -X POST "$APP/match" -H "Content-Type: application/json" -d "$PAYLOAD" > "$LOG_DIR/drained.txt"
+  date +%s%3N > "$LOG_DIR/drained.at") &
+DRAINED_PID=$!
+sleep 0.1
+curl -s -w '\n%{http_code}' -X POST "$APP/match" -H "Content-Type: application/json" -d "$PAYLOAD" > "$LOG_DIR/aborted.txt" &
+ABORTED_PID=$!
+# A rules-mode job whose webhook is still being answered (1.5 s) past the deadline
+JOB=$(curl -s -X POST "$APP/match/jobs" -H "Content-Type: application/json" \
+  -d "{\"city\":\"Tel Aviv\",\"servicesQuery\":[\"Wound Care\"],\"mode\":\"rules\",\"callbackUrl\":\"$FAKE/__fake/webhook?delayMs=1500\"}" | jq -r .id)
+sleep 0.1
+TERM_AT=$(date +%s%3N)
+kill -TERM $APP_PID
+wait $APP_PID
+EXIT_CODE=$?
+EXITED_AT=$(date +%s%3N)
+wait $DRAINED_PID $ABORTED_PID
+BODY=$(jq -s '{status: .[1], body: .[0]}' "$LOG_DIR/drained.txt")
+check "in-flight match drained" '.status == 200 and .body.engine == "llm"'
+BODY=$(jq -n --argjson term "$TERM_AT" --argjson answered "$(cat "$LOG_DIR/drained.at")" --argjson exited "$EXITED_AT" \
+  '{term: $term, answered: $answered, exited: $exited}')
+check "shutdown waited: the match was answered after SIGTERM and before the exit" '.answered > .term and .exited >= .answered'
+BODY=$(jq -s '{status: .[1], body: .[0]}' "$LOG_DIR/aborted.txt")
+check "LLM call past the deadline aborted with 503" '.status == 503 and .body.detail == "Server is shutting down"'
+BODY=$(curl -sf "$FAKE/__fake/webhooks" | jq --arg job "$JOB" --argjson exited "$EXITED_AT" '.webhooks | map(select(.body.id == $job)) | first | . + {exited: $exited}')
+check "pending webhook delivered, signed, before the process exited" '.answered and .body.status == "succeeded" and (.headers["x-webhook-signature"] | startswith("sha256=")) and .exited >= .answeredAt'
+BODY=$(jq -n --argjson code "$EXIT_CODE" --arg log "$(grep -o '"msg":"Shutdown complete"' "$LOG_DIR/app.log")" '{code: $code, log: $log}')
+check "process exited cleanly" '.code == 0 and .log != ""'
+
+echo ""
+echo "=== $PASS passed, $FAIL failed ==="
+[ "$FAIL" -eq 0 ]
@@ -32,6 +32,23 @@ for (let i = 0; i < meta.scenarios.length; i++) {
   }
 }
 
+// Per-criterion sub-scores; results saved before breakdowns existed have none
+function renderBreakdown(b) {
+  if (!b) return 'n/a';
+  const pct = v => `${Math.round(v * 100)}%`;
+  const rows = [
+    ['Services', b.services, pct],
+    ['Expertise', b.expertise, pct],
+    ['Distance', b.distanceKm, v => `${v} km`],
+    ['Availability', b.availability, pct],
+    ['Rating', b.rating, pct],
+    ['Urgency', b.urgency, pct]
+  ].filter(([, v]) => v != null).map(([label, v, fmt]) => `${label}: ${fmt(v)}`);
+  if (b.matched?.length) rows.push(`Matched: ${b.matched.join(', ')}`);
+  if (b.missing?.length) rows.push(`<span class="missing">Missing: ${b.missing.join(', ')}</span>`);
+  return rows.join('<br>');
+}
+
 // Generate HTML report
 const html = `<!DOCTYPE html>
 <html lang="en">
@@ -191,6 +208,16 @@ const html = `<!DOCTYPE html>
             max-width: 500px;
         }
         
+        .breakdown {
+            font-size: 12px;
+            color: #495057;
+            white-space: nowrap;
+        }
+        
+        .breakdown .missing {
+            color: #a12622;
+        }
+        
         .no-results {
             padding: 20px;
             text-align: center;
@@ -300,6 +327,7 @@ const html = `<!DOCTYPE html>
                             <th>ID</th>
                             <th>Name</th>
                             <th>Score</th>
+                            <th>Breakdown</th>
                             <th>Reason</th>
                         </tr>
                     </thead>
@@ -310,6 +338,7 @@ const html = `<!DOCTYPE html>
                                 <td>${result.id}</td>
                                 <td>${result.name || 'N/A'}</td>
                                 <td><span class="score">${(result.score || 0).toFixed(3)}</span></td>
+                                <td class="breakdown">${renderBreakdown(result.breakdown)}</td>
                                 <td class="reason">${result.reason || 'No reason provided'}</td>
                             </tr>
                         `).join('')}
@@ -1,27 +1,8 @@
-import axios from "axios";
-import http from "http";
-import https from "https";
+import { postWithRetry } from "./http.js";
 
-const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 100 });
-const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 100 });
-
-const AXIOS = axios.create({
-  timeout: 45_000,
-  httpAgent,
-  httpsAgent,
-  // treat 429 and any 5xx as retryable; other 4xx as errors
-  validateStatus: (s) => (s >= 200 && s < 300) || s === 429 || (s >= 500 && s < 600),
-  headers: {
-    Accept: "application/json",
-    "Content-Type": "application/json",
-    "User-Agent": "llm-matching/1.0"
-  }
-});
-
-/**
- * Exponential backoff helper
- */
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+// Ask for a final usage chunk on streamed answers (stream_options.include_usage).
+// Off by default: older Azure api-versions reject the field.
+export const STREAM_USAGE = process.env.LLM_STREAM_USAGE === "true";
 
 /**
  * Extract text from Azure Chat Completions API payload in a tolerant way.
@@ -30,7 +11,7 @@ function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
  *  - data.choices[0].text (alternative format)
  *  - string bodies (last resort)
  */
-function extractText(data) {
+export function extractText(data) {
   if (!data) return "";
   if (typeof data === "string") return data;
   
@@ -48,10 +29,35 @@ function extractText(data) {
   return JSON.stringify(data);
 }
 
+/**
+ * Accumulate a streamed Chat Completions answer (`stream: true`), passing each
+ * content delta to onToken. Shared with the OpenAI-compatible client.
+ */
+export function chatStreamCollector(onToken) {
+  let text = "";
+  let last = null;
+  let usage = null;
+  return {
+    onSse(evt) {
+      last = evt;
+      if (evt?.usage) usage = evt.usage;
+      const delta = evt?.choices?.[0]?.delta?.content;
+      if (typeof delta === "string" && delta) {
+        text += delta;
+        onToken(delta);
+      }
+    },
+    result(status, attempts) {
+      return { ok: true, text: text.trim(), raw: { streamed: true, last, usage }, status, attempts };
+    }
+  };
+}
+
 /**
  * Call Azure Chat Completions API with retries on 429/5xx and optional AbortSignal.
+ * With `onToken` the answer is streamed and onToken receives each text delta.
  */
-export async function azureRespond({ uri, apiKey, messages, temperature = 0.2, top_p = 0.9, max_tokens = 192, abortSignal }) {
+export async function azureRespond({ uri, apiKey, messages, temperature = 0.2, top_p = 0.9, max_tokens = 192, jsonSchema, abortSignal, onToken }) {
   if (!uri || !apiKey) throw new Error("azureRespond: missing uri or apiKey");
 
   const body = {
@@ -60,53 +66,25 @@ export async function azureRespond({ uri, apiKey, messages, temperature = 0.2, t
     top_p,
     max_tokens
   };
+  if (jsonSchema) {
+    body.response_format = { type: "json_schema", json_schema: { name: jsonSchema.name, schema: jsonSchema.schema, strict: true } };
+  }
 
-  let attempt = 0;
-  const maxAttempts = 5; // initial + 4 retries
-  let lastErr;
-
-  while (attempt < maxAttempts) {
-    try {
-      const res = await AXIOS.post(uri, body, {
-        headers: { "api-key": apiKey },
-        signal: abortSignal
-      });
-
-      if (res.status >= 200 && res.status < 300) {
-        return { ok: true, text: extractText(res.data), raw: res.data, status: res.status };
-      }
-
-      // Retryable statuses: 429 + 5xx
-      if (res.status === 429 || (res.status >= 500 && res.status < 600)) {
-        attempt++;
-        if (attempt >= maxAttempts) {
-          return { ok: false, error: `Azure error ${res.status}: ${JSON.stringify(res.data)}`, status: res.status };
-        }
-        // Respect Retry-After (seconds) if present; otherwise capped backoff
-        const retryAfterHeader = res.headers?.["retry-after"];
-        const retryAfterMs = retryAfterHeader ? Number(retryAfterHeader) * 1000 : null;
-        const backoffMs = retryAfterMs && !Number.isNaN(retryAfterMs)
-          ? Math.min(retryAfterMs, 5_000)
-          : Math.min(250 * 2 ** (attempt - 1), 5_000);
-        await sleep(backoffMs);
-        continue;
-      }
-
-      // Non-retryable 4xx (except 429)
-      console.error(`Azure 4xx error details:`, res.status, JSON.stringify(res.data));
-      const errorMsg = res.data?.error?.message || JSON.stringify(res.data);
-      return { ok: false, error: `Azure non-retryable ${res.status}: ${errorMsg}`, status: res.status };
-    } catch (err) {
-      lastErr = err;
-      attempt++;
-      if (attempt >= maxAttempts) {
-        return { ok: false, error: `Azure request failed: ${err?.message || String(err)}`, status: 0 };
-      }
-      // network error backoff
-      const backoffMs = Math.min(300 * 2 ** (attempt - 1), 5_000);
-      await sleep(backoffMs);
-    }
+  const stream = onToken ? chatStreamCollector(onToken) : null;
+  if (stream) {
+    body.stream = true;
+    if (STREAM_USAGE) body.stream_options = { include_usage: true };
   }
 
-  return { ok: false, error: `Azure request failed after retries: ${lastErr?.message || String(lastErr)}`, status: 0 };
-}
\ No newline at end of file
+  const res = await postWithRetry({
+    uri,
+    body,
+    headers: { "api-key": apiKey },
+    abortSignal,
+    label: "Azure",
+    onSse: stream?.onSse
+  });
+  if (!res.ok) return res;
+  if (stream) return stream.result(res.status, res.attempts);
+  return { ok: true, text: extractText(res.data), raw: res.data, status: res.status, attempts: res.attempts };
+}
@@ -0,0 +1,170 @@
+import axios from "axios";
+import http from "http";
+import https from "https";
+import { log } from "../lib/log.js";
+
+const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 100 });
+const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 100 });
+
+// Per-attempt timeout and attempts per call (initial + retries)
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 45_000;
+const MAX_ATTEMPTS = Number(process.env.LLM_MAX_ATTEMPTS) || 5;
+
+const AXIOS = axios.create({
+  timeout: TIMEOUT_MS,
+  httpAgent,
+  httpsAgent,
+  // treat 429 and any 5xx as retryable; other 4xx as errors
+  validateStatus: (s) => (s >= 200 && s < 300) || s === 429 || (s >= 500 && s < 600),
+  headers: {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    "User-Agent": "llm-matching/1.0"
+  }
+});
+
+/**
+ * Exponential backoff helper
+ */
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+/**
+ * Read a whole streamed body (error responses of streaming requests) and
+ * parse it as JSON when possible.
+ */
+async function readBody(stream) {
+  if (!stream || typeof stream[Symbol.asyncIterator] !== "function") return stream;
+  let text = "";
+  for await (const chunk of stream) text += chunk;
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+/**
+ * Parse a Server-Sent Events body, calling onEvent(parsedData) for every
+ * `data:` payload until the stream ends or sends [DONE]. Returns the number
+ * of events delivered.
+ */
+async function readSse(stream, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let count = 0;
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let sep;
+    while ((sep = buffer.search(/\r?\n\r?\n/)) >= 0) {
+      const block = buffer.slice(0, sep);
+      buffer = buffer.slice(sep).replace(/^\r?\n\r?\n/, "");
+      const data = block.split(/\r?\n/)
+        .filter(line => line.startsWith("data:"))
+        .map(line => line.slice(5).trimStart())
+        .join("\n");
+      if (!data) continue;
+      if (data === "[DONE]") return count;
+      try {
+        onEvent(JSON.parse(data));
+        count++;
+      } catch {
+        // ignore keep-alives and malformed events
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * POST a JSON body with retries on 429/5xx/network errors and optional AbortSignal.
+ * Shared by every LLM provider so they all have the same retry/backoff semantics.
+ *
+ * Returns { ok: true, data, status, attempts } or { ok: false, error, status,
+ * attempts }, `attempts` counting HTTP requests made (1 = no retry).
+ * `label` prefixes error messages (e.g. "Azure", "OpenAI").
+ *
+ * With `onSse` the response is read as an event stream: onSse is called for
+ * each event and `data` is the event count. Only failures before the first
+ * event are retried, so callers never see the same tokens twice.
+ *
+ * `timeoutMs` (per attempt) and `maxAttempts` default to LLM_TIMEOUT_MS and
+ * LLM_MAX_ATTEMPTS. `lookup` (async hostname -> [{ address, family }])
+ * replaces the DNS lookup and `maxRedirects` caps redirects followed (axios
+ * default 5).
+ */
+export async function postWithRetry({
+  uri, body, headers = {}, abortSignal, label = "LLM", onSse,
+  timeoutMs = TIMEOUT_MS, maxAttempts = MAX_ATTEMPTS, lookup, maxRedirects
+}) {
+  let attempt = 0;
+  let lastErr;
+  let delivered = 0;
+  let attempts = 0;
+  const onEvent = (evt) => { delivered++; onSse(evt); };
+  const done = (result) => ({ ...result, attempts });
+
+  while (attempt < maxAttempts) {
+    attempts++;
+    try {
+      const res = await AXIOS.post(uri, body, {
+        headers: onSse ? { ...headers, Accept: "text/event-stream" } : headers,
+        signal: abortSignal,
+        timeout: timeoutMs,
+        ...(lookup ? { lookup } : {}),
+        ...(maxRedirects !== undefined ? { maxRedirects } : {}),
+        ...(onSse ? { responseType: "stream" } : {})
+      });
+
+      if (res.status >= 200 && res.status < 300) {
+        if (onSse) return done({ ok: true, data: await readSse(res.data, onEvent), status: res.status });
+        return done({ ok: true, data: res.data, status: res.status });
+      }
+      if (onSse) res.data = await readBody(res.data);
+
+      // Retryable statuses: 429 + 5xx
+      if (res.status === 429 || (res.status >= 500 && res.status < 600)) {
+        attempt++;
+        if (attempt >= maxAttempts) {
+          return done({ ok: false, error: `${label} error ${res.status}: ${JSON.stringify(res.data)}`, status: res.status });
+        }
+        // Respect Retry-After (seconds) if present; otherwise capped backoff
+        const retryAfterHeader = res.headers?.["retry-after"];
+        const retryAfterMs = retryAfterHeader ? Number(retryAfterHeader) * 1000 : null;
+        const backoffMs = retryAfterMs && !Number.isNaN(retryAfterMs)
+          ? Math.min(retryAfterMs, 5_000)
+          : Math.min(250 * 2 ** (attempt - 1), 5_000);
+        log.warn(`${label} retrying`, { status: res.status, attempt, backoffMs });
+        await sleep(backoffMs);
+        continue;
+      }
+
+      // Non-retryable 4xx (except 429)
+      log.error(`${label} 4xx error`, { status: res.status, body: JSON.stringify(res.data) });
+      const errorMsg = res.data?.error?.message || JSON.stringify(res.data);
+      return done({ ok: false, error: `${label} non-retryable ${res.status}: ${errorMsg}`, status: res.status });
+    } catch (err) {
+      lastErr = err;
+      // Non-2xx outside validateStatus (plain 4xx) lands here via axios
+      if (err.response) {
+        const res = err.response;
+        if (onSse) res.data = await readBody(res.data).catch(() => "");
+        log.error(`${label} 4xx error`, { status: res.status, body: JSON.stringify(res.data) });
+        const errorMsg = res.data?.error?.message || JSON.stringify(res.data);
+        return done({ ok: false, error: `${label} non-retryable ${res.status}: ${errorMsg}`, status: res.status });
+      }
+      // Caller gave up; do not retry an aborted request
+      if (abortSignal?.aborted || axios.isCancel(err)) {
+        return done({ ok: false, error: `${label} request aborted`, status: 0, aborted: true });
+      }
+      // A stream that broke midway cannot be replayed
+      if (delivered > 0) {
+        return done({ ok: false, error: `${label} stream interrupted: ${err?.message || String(err)}`, status: 0 });
+      }
+      attempt++;
+      if (attempt >= maxAttempts) {
+        return done({ ok: false, error: `${label} request failed: ${err?.message || String(err)}`, status: 0 });
+      }
+      // network error backoff
+      const backoffMs = Math.min(300 * 2 ** (attempt - 1), 5_000);
+      await sleep(backoffMs);
+    }
+  }
+
+  return done({ ok: false, error: `${label} request failed after retries: ${lastErr?.message || String(lastErr)}`, status: 0 });
+}
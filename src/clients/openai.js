@@ -0,0 +1,41 @@
+import { postWithRetry } from "./http.js";
+import { STREAM_USAGE, chatStreamCollector, extractText } from "./azure.js";
+
+/**
+ * Call any OpenAI-compatible Chat Completions endpoint (api.openai.com, vLLM,
+ * llama.cpp server, Ollama's /v1, ...). `baseUrl` is the API root, e.g.
+ * "http://localhost:11434/v1". The API key is optional for local servers.
+ * With `onToken` the answer is streamed, as in azureRespond.
+ */
+export async function openaiRespond({ baseUrl, apiKey, model, messages, temperature = 0.2, top_p = 0.9, max_tokens = 192, jsonSchema, abortSignal, onToken }) {
+  if (!baseUrl || !model) throw new Error("openaiRespond: missing baseUrl or model");
+
+  const body = {
+    model,
+    messages,
+    temperature,
+    top_p,
+    max_tokens
+  };
+  if (jsonSchema) {
+    body.response_format = { type: "json_schema", json_schema: { name: jsonSchema.name, schema: jsonSchema.schema, strict: true } };
+  }
+
+  const stream = onToken ? chatStreamCollector(onToken) : null;
+  if (stream) {
+    body.stream = true;
+    if (STREAM_USAGE) body.stream_options = { include_usage: true };
+  }
+
+  const res = await postWithRetry({
+    uri: `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+    body,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    abortSignal,
+    label: "OpenAI",
+    onSse: stream?.onSse
+  });
+  if (!res.ok) return res;
+  if (stream) return stream.result(res.status, res.attempts);
+  return { ok: true, text: extractText(res.data), raw: res.data, status: res.status, attempts: res.attempts };
+}
@@ -0,0 +1,58 @@
+import { postWithRetry } from "./http.js";
+
+/**
+ * Extract text from a Responses API payload.
+ * Supports:
+ *  - data.output_text (convenience field, OpenAI)
+ *  - data.output[].content[] items of type "output_text" (Azure + OpenAI)
+ *  - string bodies (last resort)
+ */
+export function extractResponsesText(data) {
+  if (!data) return "";
+  if (typeof data === "string") return data;
+  if (typeof data.output_text === "string" && data.output_text) return data.output_text.trim();
+
+  if (Array.isArray(data.output)) {
+    const parts = [];
+    for (const item of data.output) {
+      if (item?.type !== "message" || !Array.isArray(item.content)) continue;
+      for (const c of item.content) {
+        if (c?.type === "output_text" && typeof c.text === "string") parts.push(c.text);
+      }
+    }
+    if (parts.length) return parts.join("").trim();
+  }
+
+  return JSON.stringify(data);
+}
+
+/**
+ * Call the Responses API (Azure `/openai/responses` or OpenAI `/v1/responses`).
+ * Azure authenticates with an `api-key` header, OpenAI with a bearer token;
+ * pick with `auth: "api-key" | "bearer"`. Chat-style `messages` are passed as
+ * `input`, which the Responses API accepts as-is.
+ */
+export async function responsesRespond({ uri, apiKey, auth = "api-key", model, messages, temperature = 0.2, top_p = 0.9, max_tokens = 192, jsonSchema, abortSignal }) {
+  if (!uri || !apiKey) throw new Error("responsesRespond: missing uri or apiKey");
+
+  const body = {
+    input: messages,
+    temperature,
+    top_p,
+    max_output_tokens: max_tokens
+  };
+  if (model) body.model = model;
+  if (jsonSchema) {
+    body.text = { format: { type: "json_schema", name: jsonSchema.name, schema: jsonSchema.schema, strict: true } };
+  }
+
+  const res = await postWithRetry({
+    uri,
+    body,
+    headers: auth === "bearer" ? { Authorization: `Bearer ${apiKey}` } : { "api-key": apiKey },
+    abortSignal,
+    label: "Responses API"
+  });
+  if (!res.ok) return res;
+  return { ok: true, text: extractResponsesText(res.data), raw: res.data, status: res.status, attempts: res.attempts };
+}
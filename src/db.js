@@ -1,9 +1,14 @@
 import pg from 'pg';
 import { MongoClient } from 'mongodb';
 import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { parse } from 'csv-parse/sync';
+import { normalizeAvailability } from './lib/availability.js';
+import { GAZETTEER_FILE, loadGazetteer } from './lib/geo.js';
+import { CSV_MAPPING_FILE, loadCsvMapping, nursesFromCsv } from './lib/nurses.js';
+import { log } from './lib/log.js';
+import { counter, histogram } from './lib/metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -11,16 +16,21 @@ const __dirname = dirname(__filename);
 let pgPool = null;
 let mongoDb = null;
 let mongoClient = null;
+let initError = null; // why the last initDb() failed, for dbHealth()
+
+const rosterLoadSeconds = histogram('roster_load_duration_seconds', 'Time to load the full nurse roster, by source', ['source']);
+const fallbacks = counter('db_fallbacks_total', 'Times the database was unavailable and local JSON data was used instead', ['reason']);
 
 export async function initDb() {
   const useDb = process.env.USE_DB === 'true';
   const dbKind = process.env.DB_KIND || 'postgres';
 
   if (!useDb) {
-    console.log('Database disabled (USE_DB=false), using JSON fallback');
+    log.info('Database disabled (USE_DB=false), using JSON fallback');
     return;
   }
 
+  initError = null;
   try {
     if (dbKind === 'postgres') {
       const connectionString = process.env.DATABASE_URL;
@@ -35,7 +45,7 @@ export async function initDb() {
       await client.query('SELECT 1');
       client.release();
       
-      console.log('✓ Connected to PostgreSQL database');
+      log.info('Connected to PostgreSQL database');
     } else if (dbKind === 'mongodb') {
       const uri = process.env.MONGODB_URI;
       if (!uri) {
@@ -51,13 +61,14 @@ export async function initDb() {
       // Test connection
       await mongoDb.command({ ping: 1 });
       
-      console.log('✓ Connected to MongoDB database');
+      log.info('Connected to MongoDB database');
     } else {
       throw new Error(`Unknown DB_KIND: ${dbKind}`);
     }
   } catch (error) {
-    console.error('Database initialization failed:', error.message);
-    console.log('Falling back to JSON data');
+    log.error('Database initialization failed, falling back to JSON data', { dbKind, err: error });
+    fallbacks.inc({ reason: 'init_failed' });
+    initError = error;
     
     // Clean up on failure
     if (pgPool) {
@@ -82,6 +93,7 @@ export async function dbHealth() {
     database: {
       enabled: useDb,
       kind: dbKind,
+      initialized: Boolean(pgPool || mongoDb),
       connected: false,
       message: '',
       count: 0
@@ -105,13 +117,12 @@ export async function dbHealth() {
         client.release();
       }
     } else if (dbKind === 'mongodb' && mongoDb) {
-      const collection = process.env.MONGODB_COLLECTION || 'nurses';
-      const count = await mongoDb.collection(collection).countDocuments();
+      const count = await nursesCollection().countDocuments();
       health.database.connected = true;
       health.database.count = count;
       health.database.message = 'MongoDB connected';
     } else {
-      health.database.message = 'Database not initialized';
+      health.database.message = initError ? `Database not initialized: ${initError.message}` : 'Database not initialized';
     }
   } catch (error) {
     health.database.message = `Database error: ${error.message}`;
@@ -120,146 +131,154 @@ export async function dbHealth() {
   return health;
 }
 
-// Helper to create deterministic hash-based value 0-1 from string
-function hashToUnit(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return Math.abs(hash % 1000) / 1000; // Return value 0-1
-}
-
-// Helper to normalize services/expertise from CSV treatment types
-function normalizeServices(treatmentType) {
-  const serviceMap = {
-    'CENTRAL_CATHETER_TREATMENT': ['Catheter Care', 'IV Therapy'],
-    'DAY_NIGHT_CIRCUMCISION_NURSE': ['Post-Surgery Care', 'Pediatric Care', 'Day Night'],
-    'DEFAULT': ['General Care', 'Home Care'],
-    'ENEMA_UNDER_INSTRUCTION': ['Specialized Procedures', 'Clinical Care'],
-    'PRIVATE_SECURITY_HOME': ['Home Care', 'Private Nursing'],
-    'WOUND_CARE': ['Wound Care', 'Post-Surgery Care'],
-    'GERIATRIC': ['Geriatric Care', 'Elder Care'],
-    'PEDIATRIC': ['Pediatric Care', 'Child Care'],
-    'EMERGENCY': ['Emergency Care', 'Critical Care'],
-    'MEDICATION': ['Medication Administration', 'Pharmacy Services'],
-    'HOSPITAL': ['Hospital Care', 'Inpatient Services']
-  };
-  return serviceMap[treatmentType] || ['General Care'];
+// Every source hands out availability in the model from lib/availability.js
+function withNormalizedAvailability(nurses) {
+  return nurses.map(n => ({ ...n, availability: normalizeAvailability(n.availability) }));
 }
 
-function normalizeMobility(mobility) {
-  const mobilityMap = {
-    'INDEPENDENT': ['Mobile Patient Care'],
-    'WALKER': ['Assisted Mobility Care'],
-    'WHEELCHAIR': ['Wheelchair Patient Care'],
-    'BEDRIDDEN': ['Bedridden Patient Care']
-  };
-  return mobilityMap[mobility] || [];
+const SAMPLE_CSV = join(__dirname, '..', 'sample_data', 'nurses.csv');
+const SAMPLE_JSON = join(__dirname, '..', 'sample_data', 'nurses.json');
+
+let lastIngestion = null;
+
+/**
+ * Ingestion report of the last sample CSV load (see nursesFromCsv), or null
+ * when the CSV has not been read.
+ */
+export function lastIngestionReport() {
+  return lastIngestion;
 }
 
 // Try to load from CSV first, then fallback to JSON
 async function loadFromCSV() {
-  const csvPath = join(__dirname, '..', 'sample_data', 'nurses.csv');
+  const csvPath = SAMPLE_CSV;
   
   try {
     await fs.access(csvPath);
-    console.log('Loading nurses from CSV file');
+    log.debug('Loading nurses from CSV file', { file: csvPath });
     
     const csvContent = await fs.readFile(csvPath, 'utf8');
-    const records = parse(csvContent, {
-      columns: true,
-      skip_empty_lines: true,
-      bom: true
+    const { nurses, unresolvedCities, report } = nursesFromCsv(csvContent, {
+      mapping: await loadCsvMapping(),
+      gazetteer: await loadGazetteer()
     });
+    lastIngestion = { file: csvPath, loadedAt: new Date().toISOString(), ...report };
     
-    // Load city centroids
-    const centroidsPath = join(__dirname, '..', 'sample_data', 'city_centroids_il.json');
-    const centroidsData = await fs.readFile(centroidsPath, 'utf8');
-    const centroids = JSON.parse(centroidsData);
-    
-    // Group by nurse_id and aggregate data
-    const nursesMap = new Map();
-    let counter = 1;
-    
-    for (const record of records) {
-      const nurseId = record.nurse_id;
-      const city = record.municipality || 'Unknown';
-      
-      if (!nursesMap.has(nurseId)) {
-        const coords = centroids[city] || { lat: 32.0853, lng: 34.7818 }; // Default to Tel Aviv
-        
-        nursesMap.set(nurseId, {
-          id: nurseId, // Use actual nurse_id
-          name: `Nurse ${counter}`, // Anonymous name
-          city: city,
-          lat: coords.lat,
-          lng: coords.lng,
-          gender: record.gender,
-          mobility: record.mobility,
-          services: new Set(),
-          expertiseTags: new Set(),
-          rating: 4.2 + hashToUnit(nurseId) * 0.7, // Deterministic 4.2-4.9
-          reviewsCount: Math.floor(50 + hashToUnit(nurseId + 'reviews') * 150), // Deterministic 50-200
-          availability: {
-            from: record.from_datetime_utc || '2024-01-01T08:00:00Z',
-            to: record.to_datetime_utc || '2024-12-31T18:00:00Z'
-          },
-          status: record.status
-        });
-        counter++;
-      }
-      
-      const nurse = nursesMap.get(nurseId);
-      
-      // Add services from treatment type
-      const services = normalizeServices(record.treatment_type || record.name);
-      services.forEach(s => nurse.services.add(s));
-      
-      // Add expertise from mobility
-      const expertise = normalizeMobility(record.mobility);
-      expertise.forEach(e => nurse.expertiseTags.add(e));
+    log.info('Loaded nurses from CSV', {
+      nurses: nurses.length,
+      rowsKept: report.rows.kept,
+      rowsRead: report.rows.read,
+      nursesFilteredOut: report.nurses.dropped
+    });
+    if (report.unmapped.services.length || report.unmapped.mobility.length) {
+      log.warn('Unmapped CSV values', {
+        values: [...report.unmapped.services, ...report.unmapped.mobility].map(u => `${u.value} (${u.rows} rows)`)
+      });
     }
-    
-    // Convert to array and clean up Sets
-    const nurses = Array.from(nursesMap.values()).map(n => ({
-      ...n,
-      services: Array.from(n.services),
-      expertiseTags: Array.from(n.expertiseTags)
-    }));
-    
-    console.log(`Loaded ${nurses.length} nurses from CSV`);
-    return nurses;
+    if (unresolvedCities.length) {
+      log.warn('Municipalities not in the gazetteer (nurses left without coordinates)', {
+        count: unresolvedCities.length,
+        cities: unresolvedCities.map(u => `${u.city} (${u.rows} rows)`)
+      });
+    }
+    return nurses.map(({ rows, ...nurse }) => nurse);
     
   } catch (error) {
     if (error.code === 'ENOENT') {
-      console.log('CSV file not found, falling back to JSON');
+      log.info('CSV file not found, falling back to JSON', { file: csvPath });
     } else {
-      console.error('Error loading CSV:', error.message);
+      log.error('Error loading CSV', { file: csvPath, err: error });
     }
     return null;
   }
 }
 
+// The bundled sample roster: CSV export if present, else nurses.json
+async function loadSampleNurses() {
+  const csvNurses = await loadFromCSV();
+  if (csvNurses) {
+    return { source: 'csv', nurses: csvNurses };
+  }
+  
+  const data = await fs.readFile(SAMPLE_JSON, 'utf8');
+  return { source: 'json', nurses: withNormalizedAvailability(JSON.parse(data)) };
+}
+
+const NURSE_COLUMNS = [
+  'id', 'name', 'services', 'expertise_tags', 'availability', 'city', 'state', 'rating', 'reviews',
+  'lat', 'lng', 'gender', 'languages', 'mobility', 'hourly_rate', 'status', 'active'
+];
+
+// Optional fields only some sources carry; passed through when present
+const OPTIONAL_NURSE_FIELDS = ['lat', 'lng', 'gender', 'mobility', 'languages', 'hourlyRate', 'reviewsCount', 'status', 'active'];
+
+function nurseFromDocument(doc) {
+  const nurse = {
+    id: doc.id,
+    name: doc.name,
+    services: doc.services || [],
+    expertiseTags: doc.expertiseTags || [],
+    availability: normalizeAvailability(doc.availability),
+    city: doc.city,
+    state: doc.state,
+    rating: parseFloat(doc.rating) || 0,
+    reviews: parseInt(doc.reviews ?? doc.reviewsCount) || 0
+  };
+  for (const field of OPTIONAL_NURSE_FIELDS) {
+    if (doc[field] !== undefined) nurse[field] = doc[field];
+  }
+  return nurse;
+}
+
+// Optional columns are left off the nurse when NULL, so constraints see
+// "unknown" rather than an empty value. NUMERIC comes back as a string.
+function nurseFromRow(row) {
+  const nurse = {
+    id: row.id,
+    name: row.name,
+    services: row.services || [],
+    expertiseTags: row.expertise_tags || [],
+    availability: normalizeAvailability(row.availability),
+    city: row.city,
+    state: row.state,
+    rating: parseFloat(row.rating) || 0,
+    reviews: parseInt(row.reviews) || 0
+  };
+  if (row.lat != null) nurse.lat = Number(row.lat);
+  if (row.lng != null) nurse.lng = Number(row.lng);
+  if (row.gender != null) nurse.gender = row.gender;
+  if (row.languages != null) nurse.languages = row.languages;
+  if (row.mobility != null) nurse.mobility = row.mobility;
+  if (row.hourly_rate != null) nurse.hourlyRate = Number(row.hourly_rate);
+  if (row.status != null) nurse.status = row.status;
+  if (row.active != null) nurse.active = row.active;
+  return nurse;
+}
+
+/**
+ * The whole roster from the active source (see readNurses), timed per source
+ * in roster_load_duration_seconds.
+ */
 export async function loadNurses() {
+  const done = rosterLoadSeconds.startTimer();
+  const { source, nurses } = await readNurses();
+  const seconds = done({ source });
+  log.info('Roster loaded', { source, count: nurses.length, durationMs: Math.round(seconds * 1000) });
+  return nurses;
+}
+
+async function readNurses() {
   const useDb = process.env.USE_DB === 'true';
   const dbKind = process.env.DB_KIND || 'postgres';
   
-  // If DB is disabled or not connected, try CSV first then JSON
+  // If DB is disabled or not connected, use the roster file written by the
+  // /nurses API, or else the bundled sample data
   if (!useDb || (dbKind === 'postgres' && !pgPool) || (dbKind === 'mongodb' && !mongoDb)) {
-    // Try CSV first
-    const csvNurses = await loadFromCSV();
-    if (csvNurses) {
-      return csvNurses;
+    const stored = await readJsonFile(nursesFile(), null);
+    if (stored) {
+      return { source: 'file', nurses: withNormalizedAvailability(stored) };
     }
-    
-    // Fallback to JSON
-    console.log('Loading nurses from JSON file');
-    const jsonPath = join(__dirname, '..', 'sample_data', 'nurses.json');
-    const data = await fs.readFile(jsonPath, 'utf8');
-    const nurses = JSON.parse(data);
-    return nurses;
+    return loadSampleNurses();
   }
   
   try {
@@ -267,73 +286,599 @@ export async function loadNurses() {
       const client = await pgPool.connect();
       try {
         const result = await client.query(`
-          SELECT 
-            id,
-            name,
-            services,
-            expertise_tags as "expertiseTags",
-            availability,
-            city,
-            state,
-            rating,
-            reviews
+          SELECT ${NURSE_COLUMNS.join(', ')}
           FROM nurses
           ORDER BY id
         `);
         
-        return result.rows.map(row => ({
-          id: row.id,
-          name: row.name,
-          services: row.services || [],
-          expertiseTags: row.expertiseTags || [],
-          availability: row.availability || [],
-          city: row.city,
-          state: row.state,
-          rating: parseFloat(row.rating) || 0,
-          reviews: parseInt(row.reviews) || 0
-        }));
+        return { source: 'postgres', nurses: result.rows.map(nurseFromRow) };
       } finally {
         client.release();
       }
     } else if (dbKind === 'mongodb') {
-      const collection = process.env.MONGODB_COLLECTION || 'nurses';
-      const nurses = await mongoDb.collection(collection)
+      const nurses = await nursesCollection()
         .find({})
-        .project({
-          _id: 0,
-          id: 1,
-          name: 1,
-          services: 1,
-          expertiseTags: 1,
-          availability: 1,
-          city: 1,
-          state: 1,
-          rating: 1,
-          reviews: 1
-        })
+        .project({ _id: 0 })
         .toArray();
       
-      return nurses.map(nurse => ({
-        id: nurse.id,
-        name: nurse.name,
-        services: nurse.services || [],
-        expertiseTags: nurse.expertiseTags || [],
-        availability: nurse.availability || [],
-        city: nurse.city,
-        state: nurse.state,
-        rating: parseFloat(nurse.rating) || 0,
-        reviews: parseInt(nurse.reviews) || 0
-      }));
+      return { source: 'mongodb', nurses: nurses.map(nurseFromDocument) };
     }
   } catch (error) {
-    console.error('Error loading nurses from database:', error);
-    console.log('Falling back to JSON data');
+    log.error('Error loading nurses from database, falling back to JSON data', { dbKind, err: error });
+    fallbacks.inc({ reason: 'load_failed' });
     
     // Fallback to JSON on error
-    const jsonPath = join(__dirname, '..', 'sample_data', 'nurses.json');
-    const data = await fs.readFile(jsonPath, 'utf8');
-    return JSON.parse(data);
+    const data = await fs.readFile(SAMPLE_JSON, 'utf8');
+    return { source: 'json-fallback', nurses: withNormalizedAvailability(JSON.parse(data)) };
+  }
+}
+
+// Which store serves reads/writes right now: a connected database, or local files
+function activeBackend() {
+  const useDb = process.env.USE_DB === 'true';
+  const dbKind = process.env.DB_KIND || 'postgres';
+  if (useDb && dbKind === 'postgres' && pgPool) return 'postgres';
+  if (useDb && dbKind === 'mongodb' && mongoDb) return 'mongodb';
+  return 'file';
+}
+
+/**
+ * Files loadNurses() reads with the current backend (empty for databases), so
+ * the roster cache can watch them for changes.
+ */
+export function rosterSourceFiles() {
+  return activeBackend() === 'file' ? [nursesFile(), SAMPLE_CSV, CSV_MAPPING_FILE, GAZETTEER_FILE, SAMPLE_JSON] : [];
+}
+
+// ---------------------------------------------------------------------------
+// Assignments (booked nurses)
+// ---------------------------------------------------------------------------
+
+const DATA_DIR = join(__dirname, '..', 'data');
+
+function assignmentsFile() {
+  return process.env.ASSIGNMENTS_FILE || join(DATA_DIR, 'assignments.json');
+}
+
+function assignmentsCollection() {
+  return mongoDb.collection(process.env.MONGODB_ASSIGNMENTS_COLLECTION || 'assignments');
+}
+
+function assignmentLocksCollection() {
+  return mongoDb.collection(process.env.MONGODB_ASSIGNMENT_LOCKS_COLLECTION || 'assignment_locks');
+}
+
+// Serialize file-store writes so concurrent requests do not clobber each other
+let fileWriteChain = Promise.resolve();
+
+function withFileLock(fn) {
+  const run = fileWriteChain.then(fn, fn);
+  fileWriteChain = run.catch(() => {});
+  return run;
+}
+
+async function readJsonFile(path, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+async function writeJsonFile(path, data) {
+  await fs.mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, path);
+}
+
+function assignmentFromRow(row) {
+  return {
+    id: row.id,
+    nurseId: row.nurse_id,
+    start: new Date(row.start_time).toISOString(),
+    end: new Date(row.end_time).toISOString(),
+    status: row.status,
+    patientRef: row.patient_ref ?? null,
+    note: row.note ?? null,
+    createdAt: new Date(row.created_at).toISOString(),
+    cancelledAt: row.cancelled_at ? new Date(row.cancelled_at).toISOString() : null
+  };
+}
+
+function overlaps(a, startMs, endMs) {
+  return Date.parse(a.start) < endMs && Date.parse(a.end) > startMs;
+}
+
+/**
+ * List assignments. Filters (all optional): nurseId, status, and a from/to
+ * window that returns only assignments overlapping it.
+ */
+export async function listAssignments({ nurseId, status, from, to } = {}) {
+  const fromMs = from ? Date.parse(from) : -Infinity;
+  const toMs = to ? Date.parse(to) : Infinity;
+  const backend = activeBackend();
+
+  if (backend === 'postgres') {
+    const where = [];
+    const params = [];
+    if (nurseId) { params.push(nurseId); where.push(`nurse_id = $${params.length}`); }
+    if (status) { params.push(status); where.push(`status = $${params.length}`); }
+    if (from) { params.push(new Date(fromMs)); where.push(`end_time > $${params.length}`); }
+    if (to) { params.push(new Date(toMs)); where.push(`start_time < $${params.length}`); }
+    const result = await pgPool.query(
+      `SELECT * FROM assignments ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY start_time`,
+      params
+    );
+    return result.rows.map(assignmentFromRow);
+  }
+
+  if (backend === 'mongodb') {
+    const filter = {};
+    if (nurseId) filter.nurseId = nurseId;
+    if (status) filter.status = status;
+    if (from) filter.end = { $gt: new Date(fromMs).toISOString() };
+    if (to) filter.start = { $lt: new Date(toMs).toISOString() };
+    return assignmentsCollection().find(filter).project({ _id: 0 }).sort({ start: 1 }).toArray();
+  }
+
+  const all = await readJsonFile(assignmentsFile(), []);
+  return all
+    .filter(a => (!nurseId || a.nurseId === nurseId) && (!status || a.status === status))
+    .filter(a => overlaps(a, fromMs, toMs))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Ids of nurses with an active assignment overlapping [start, end).
+ */
+export async function findBookedNurseIds(start, end) {
+  if (!start || !end) return new Set();
+  const active = await listAssignments({ status: 'active', from: start, to: end });
+  return new Set(active.map(a => a.nurseId));
+}
+
+/**
+ * Book a nurse for [start, end). Rejects with err.status = 409 when the nurse
+ * already has an overlapping active assignment.
+ */
+export async function createAssignment({ nurseId, start, end, patientRef = null, note = null }) {
+  const assignment = {
+    id: randomUUID(),
+    nurseId,
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    status: 'active',
+    patientRef,
+    note,
+    createdAt: new Date().toISOString(),
+    cancelledAt: null
+  };
+
+  const conflictError = (existing) => {
+    const err = new Error(`Nurse ${nurseId} is already booked from ${existing.start} to ${existing.end}`);
+    err.status = 409;
+    err.conflict = existing;
+    return err;
+  };
+
+  const backend = activeBackend();
+
+  if (backend === 'file') {
+    return withFileLock(async () => {
+      const all = await readJsonFile(assignmentsFile(), []);
+      const clash = all.find(a => a.nurseId === nurseId && a.status === 'active' &&
+        overlaps(a, Date.parse(assignment.start), Date.parse(assignment.end)));
+      if (clash) throw conflictError(clash);
+      all.push(assignment);
+      await writeJsonFile(assignmentsFile(), all);
+      return assignment;
+    });
+  }
+
+  if (backend === 'postgres') {
+    // The advisory lock books one nurse at a time; the assignments_no_overlap
+    // constraint (docs/DB_SETUP.md) also stops writers that skip it
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [nurseId]);
+      const clash = await client.query(
+        `SELECT * FROM assignments
+         WHERE nurse_id = $1 AND status = 'active' AND start_time < $3 AND end_time > $2
+         ORDER BY start_time LIMIT 1`,
+        [nurseId, assignment.start, assignment.end]
+      );
+      if (clash.rows[0]) throw conflictError(assignmentFromRow(clash.rows[0]));
+      const result = await client.query(
+        `INSERT INTO assignments (id, nurse_id, start_time, end_time, status, patient_ref, note, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [assignment.id, nurseId, assignment.start, assignment.end, 'active', patientRef, note, assignment.createdAt]
+      );
+      await client.query('COMMIT');
+      return assignmentFromRow(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (error.code === '23P01') {
+        // exclusion_violation: booked concurrently without the lock
+        const [clash] = await listAssignments({ nurseId, status: 'active', from: assignment.start, to: assignment.end });
+        throw conflictError(clash ?? assignment);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Every booking first bumps the nurse's document in assignment_locks, so two
+  // concurrent bookings of one nurse write-conflict and withTransaction
+  // retries the later one, which then sees the other's assignment. (Reads
+  // alone would let both insert.) Transactions need a replica set.
+  const session = mongoClient.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await assignmentLocksCollection().updateOne(
+        { _id: nurseId },
+        { $inc: { bookings: 1 } },
+        { upsert: true, session }
+      );
+      const clash = await assignmentsCollection().findOne(
+        { nurseId, status: 'active', start: { $lt: assignment.end }, end: { $gt: assignment.start } },
+        { projection: { _id: 0 }, session }
+      );
+      if (clash) throw conflictError(clash);
+      await assignmentsCollection().insertOne({ ...assignment }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return assignment;
+}
+
+/**
+ * Cancel an assignment. Returns the updated record, or null when the id is unknown.
+ */
+export async function cancelAssignment(id) {
+  const cancelledAt = new Date().toISOString();
+  const backend = activeBackend();
+
+  if (backend === 'postgres') {
+    const result = await pgPool.query(
+      `UPDATE assignments SET status = 'cancelled', cancelled_at = COALESCE(cancelled_at, $2)
+       WHERE id = $1 RETURNING *`,
+      [id, cancelledAt]
+    );
+    return result.rows[0] ? assignmentFromRow(result.rows[0]) : null;
+  }
+
+  if (backend === 'mongodb') {
+    await assignmentsCollection().updateOne(
+      { id, status: { $ne: 'cancelled' } },
+      { $set: { status: 'cancelled', cancelledAt } }
+    );
+    return assignmentsCollection().findOne({ id }, { projection: { _id: 0 } });
+  }
+
+  return withFileLock(async () => {
+    const all = await readJsonFile(assignmentsFile(), []);
+    const assignment = all.find(a => a.id === id);
+    if (!assignment) return null;
+    if (assignment.status !== 'cancelled') {
+      assignment.status = 'cancelled';
+      assignment.cancelledAt = cancelledAt;
+      await writeJsonFile(assignmentsFile(), all);
+    }
+    return assignment;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// API keys
+// ---------------------------------------------------------------------------
+
+export const API_KEYS_FILE = process.env.API_KEYS_FILE || join(__dirname, '..', 'config', 'api-keys.json');
+
+function apiKeysCollection() {
+  return mongoDb.collection(process.env.MONGODB_API_KEYS_COLLECTION || 'api_keys');
+}
+
+function apiKeyFromRow(row) {
+  return {
+    id: row.id,
+    hash: row.key_hash,
+    scopes: row.scopes || [],
+    rateLimitPerMinute: row.rate_limit_per_minute ?? null,
+    dailyLlmQuota: row.daily_llm_quota ?? null,
+    disabled: Boolean(row.disabled),
+    expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null
+  };
+}
+
+/**
+ * API key records ({ id, hash, scopes, rateLimitPerMinute, dailyLlmQuota,
+ * disabled, expiresAt }; see auth.js). With API_KEYS_SOURCE=db they come from
+ * the api_keys table or collection, otherwise from API_KEYS_FILE. Returns null
+ * when the file does not exist (no key store: auth is off). Rejects when the
+ * database is the source but not connected, so callers can fail closed.
+ */
+export async function loadApiKeys() {
+  if (process.env.API_KEYS_SOURCE === 'db') {
+    const backend = activeBackend();
+    if (backend === 'postgres') {
+      const result = await pgPool.query('SELECT * FROM api_keys ORDER BY id');
+      return result.rows.map(apiKeyFromRow);
+    }
+    if (backend === 'mongodb') {
+      return apiKeysCollection().find({}).project({ _id: 0 }).sort({ id: 1 }).toArray();
+    }
+    throw new Error('API_KEYS_SOURCE=db but no database is connected');
   }
+  const file = await readJsonFile(API_KEYS_FILE, null);
+  if (!file) return null;
+  return Array.isArray(file) ? file : file.keys || [];
+}
+
+// ---------------------------------------------------------------------------
+// Nurses (CRUD and bulk import)
+// ---------------------------------------------------------------------------
+
+function nursesFile() {
+  return process.env.NURSES_FILE || join(DATA_DIR, 'nurses.json');
+}
+
+function nursesCollection() {
+  return mongoDb.collection(process.env.MONGODB_COLLECTION || 'nurses');
+}
+
+// The file store starts as a copy of the sample roster on the first write
+async function readNurseFile() {
+  return (await readJsonFile(nursesFile(), null)) ?? (await loadSampleNurses()).nurses;
+}
+
+// Field -> column for the nurses table: every field NURSE_SCHEMA accepts
+// (schema.js) except id. `reviews` and `reviewsCount` share a column.
+const NURSE_FIELD_COLUMNS = {
+  name: 'name',
+  services: 'services',
+  expertiseTags: 'expertise_tags',
+  availability: 'availability',
+  city: 'city',
+  state: 'state',
+  rating: 'rating',
+  reviews: 'reviews',
+  reviewsCount: 'reviews',
+  lat: 'lat',
+  lng: 'lng',
+  gender: 'gender',
+  languages: 'languages',
+  mobility: 'mobility',
+  hourlyRate: 'hourly_rate',
+  status: 'status',
+  active: 'active'
+};
+
+// TEXT[] keeps free-text slots as they are; structured availability needs JSONB
+function pgValue(field, value) {
+  if (field !== 'availability' || value == null) return value ?? null;
+  const textSlots = Array.isArray(value) && value.every(v => typeof v === 'string');
+  return textSlots ? value : JSON.stringify(value);
+}
+
+// Column -> value for the fields `nurse` sets, one entry per column (with
+// both reviews and reviewsCount given, reviews wins)
+function columnValues(nurse) {
+  const values = new Map();
+  for (const [field, column] of Object.entries(NURSE_FIELD_COLUMNS)) {
+    if (nurse[field] !== undefined && !values.has(column)) values.set(column, pgValue(field, nurse[field]));
+  }
+  return values;
+}
+
+function nurseRowValues(nurse) {
+  const values = columnValues(nurse);
+  values.set('id', nurse.id);
+  const defaults = { services: [], expertise_tags: [] };
+  return NURSE_COLUMNS.map(column => values.get(column) ?? defaults[column] ?? null);
+}
+
+async function pgUpsertNurse(client, nurse) {
+  const updates = NURSE_COLUMNS.filter(c => c !== 'id').map(c => `${c} = EXCLUDED.${c}`);
+  const result = await client.query(
+    `INSERT INTO nurses (${NURSE_COLUMNS.join(', ')})
+     VALUES (${NURSE_COLUMNS.map((_, i) => `$${i + 1}`).join(', ')})
+     ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     RETURNING ${NURSE_COLUMNS.join(', ')}, (xmax = 0) AS inserted`,
+    nurseRowValues(nurse)
+  );
+  return { nurse: nurseFromRow(result.rows[0]), created: result.rows[0].inserted };
+}
+
+/**
+ * One nurse by id (availability normalized), or null.
+ */
+export async function getNurse(id) {
+  const backend = activeBackend();
+  if (backend === 'postgres') {
+    const result = await pgPool.query(`SELECT ${NURSE_COLUMNS.join(', ')} FROM nurses WHERE id = $1`, [id]);
+    return result.rows[0] ? nurseFromRow(result.rows[0]) : null;
+  }
+  if (backend === 'mongodb') {
+    const doc = await nursesCollection().findOne({ id }, { projection: { _id: 0 } });
+    return doc ? nurseFromDocument(doc) : null;
+  }
+  const nurse = (await readNurseFile()).find(n => n.id === id);
+  return nurse ? withNormalizedAvailability([nurse])[0] : null;
+}
+
+/**
+ * Insert or replace a nurse. Returns { nurse, created }. With
+ * `{ createOnly: true }` an existing id rejects with err.status = 409.
+ */
+export async function saveNurse(nurse, { createOnly = false } = {}) {
+  const report = await importNurses([nurse], { createOnly });
+  if (report.rejected.length) {
+    const err = new Error(report.rejected[0].errors[0].message);
+    err.status = 409;
+    throw err;
+  }
+  return { nurse: await getNurse(nurse.id), created: report.created.length > 0 };
+}
+
+/**
+ * Apply a partial update. Returns the updated nurse, or null when the id is unknown.
+ */
+export async function updateNurse(id, patch) {
+  const backend = activeBackend();
+
+  if (backend === 'postgres') {
+    const sets = [];
+    const params = [id];
+    for (const [column, value] of columnValues(patch)) {
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    }
+    const result = await pgPool.query(
+      `UPDATE nurses SET ${[...sets, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $1 RETURNING ${NURSE_COLUMNS.join(', ')}`,
+      params
+    );
+    return result.rows[0] ? nurseFromRow(result.rows[0]) : null;
+  }
+
+  if (backend === 'mongodb') {
+    const doc = await nursesCollection().findOneAndUpdate(
+      { id },
+      { $set: patch },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+    return doc ? nurseFromDocument(doc) : null;
+  }
+
+  return withFileLock(async () => {
+    const all = await readNurseFile();
+    const index = all.findIndex(n => n.id === id);
+    if (index === -1) return null;
+    all[index] = { ...all[index], ...patch, id };
+    await writeJsonFile(nursesFile(), all);
+    return withNormalizedAvailability([all[index]])[0];
+  });
+}
+
+/**
+ * Delete a nurse. Returns false when the id is unknown.
+ */
+export async function deleteNurse(id) {
+  const backend = activeBackend();
+  if (backend === 'postgres') {
+    const result = await pgPool.query('DELETE FROM nurses WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+  if (backend === 'mongodb') {
+    const result = await nursesCollection().deleteOne({ id });
+    return result.deletedCount > 0;
+  }
+  return withFileLock(async () => {
+    const all = await readNurseFile();
+    const remaining = all.filter(n => n.id !== id);
+    if (remaining.length === all.length) return false;
+    await writeJsonFile(nursesFile(), remaining);
+    return true;
+  });
+}
+
+/**
+ * Upsert validated nurse records in one go (one transaction on PostgreSQL,
+ * one bulk write on MongoDB, one file write otherwise).
+ *
+ * Returns { created: [id], updated: [id], rejected: [{ id, errors }] };
+ * with `createOnly` existing ids are rejected instead of replaced.
+ */
+export async function importNurses(nurses, { createOnly = false } = {}) {
+  const report = { created: [], updated: [], rejected: [] };
+  const backend = activeBackend();
+
+  const exists = (id) => ({ id, errors: [{ field: 'id', message: `nurse ${id} already exists` }] });
+
+  if (backend === 'postgres') {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      let existing = new Set();
+      if (createOnly) {
+        const result = await client.query('SELECT id FROM nurses WHERE id = ANY($1)', [nurses.map(n => n.id)]);
+        existing = new Set(result.rows.map(r => r.id));
+      }
+      for (const nurse of nurses) {
+        if (existing.has(nurse.id)) {
+          report.rejected.push(exists(nurse.id));
+          continue;
+        }
+        const { created } = await pgUpsertNurse(client, nurse);
+        (created ? report.created : report.updated).push(nurse.id);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+    return report;
+  }
+
+  if (backend === 'mongodb') {
+    if (!nurses.length) return report; // bulkWrite refuses an empty batch
+    if (createOnly) {
+      // Insert-if-absent in the write itself, so a concurrent create of the
+      // same id is rejected rather than replaced. An upsert that lost the
+      // race to a unique index fails with duplicate key (11000): also rejected.
+      let upserted;
+      try {
+        ({ upsertedIds: upserted } = await nursesCollection().bulkWrite(
+          nurses.map(n => ({ updateOne: { filter: { id: n.id }, update: { $setOnInsert: { ...n } }, upsert: true } })),
+          { ordered: false }
+        ));
+      } catch (error) {
+        if (!error.writeErrors?.length || error.writeErrors.some(w => w.code !== 11000)) throw error;
+        upserted = error.upsertedIds;
+      }
+      for (const [i, n] of nurses.entries()) {
+        if (i in upserted) report.created.push(n.id);
+        else report.rejected.push(exists(n.id));
+      }
+      return report;
+    }
+    const existing = new Set(
+      (await nursesCollection().find({ id: { $in: nurses.map(n => n.id) } }).project({ _id: 0, id: 1 }).toArray()).map(d => d.id)
+    );
+    await nursesCollection().bulkWrite(
+      nurses.map(n => ({ replaceOne: { filter: { id: n.id }, replacement: { ...n }, upsert: true } }))
+    );
+    for (const n of nurses) (existing.has(n.id) ? report.updated : report.created).push(n.id);
+    return report;
+  }
+
+  return withFileLock(async () => {
+    const all = await readNurseFile();
+    const byId = new Map(all.map((n, i) => [n.id, i]));
+    for (const nurse of nurses) {
+      const index = byId.get(nurse.id);
+      if (index === undefined) {
+        byId.set(nurse.id, all.push(nurse) - 1);
+        report.created.push(nurse.id);
+      } else if (createOnly) {
+        report.rejected.push(exists(nurse.id));
+      } else {
+        all[index] = nurse;
+        report.updated.push(nurse.id);
+      }
+    }
+    if (report.created.length || report.updated.length) {
+      await writeJsonFile(nursesFile(), all);
+    }
+    return report;
+  });
 }
 
 // Cleanup function
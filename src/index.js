@@ -1,55 +1,586 @@
 import 'dotenv/config';
 import express from 'express';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { llmMatch } from './lib/llm.js';
-import { initDb, dbHealth, loadNurses } from './db.js';
+import { runMatch, usesLlm } from './lib/match.js';
+import { runBatch } from './lib/batch.js';
+import { callbackUrlProblem, cancelJob, getJob, jobStats, jobView, submitJob } from './lib/jobs.js';
+import { getProvider } from './lib/providers.js';
+import {
+  ASSIGNMENT_SCHEMA, QUERY_SCHEMA_VERSION,
+  validateBatch, validateBody, validateJobRequest, validateMatchQuery
+} from './lib/schema.js';
+import { buildOpenApi } from './lib/openapi.js';
+import { loadCsvMapping, parseNurseImport, prepareNurse, validateNursePatch } from './lib/nurses.js';
+import { asList, norm, termMatches } from './lib/rules.js';
+import { getRoster, invalidateRoster, reloadRoster, rosterStats } from './lib/roster.js';
+import { llmCacheStats } from './lib/cache.js';
+import { loadGazetteer, unresolvedCities } from './lib/geo.js';
+import { listPromptTemplates } from './lib/prompts.js';
+import { usageMetrics } from './lib/usage.js';
+import { admitLlmCalls, apiKeyStats, refundLlmCalls, describeAuth, invalidateApiKeys, isOwnerOrAdmin, requireKey } from './lib/auth.js';
+import { log, requestContext } from './lib/log.js';
+import { httpMetrics, renderMetrics } from './lib/metrics.js';
+import { readiness, readinessSummary } from './lib/health.js';
+import { handleShutdownSignals, shutdownSignal, trackRequests } from './lib/lifecycle.js';
+import {
+  initDb, dbHealth, lastIngestionReport,
+  getNurse, saveNurse, updateNurse, deleteNurse, importNurses,
+  createAssignment, listAssignments, cancelAssignment
+} from './db.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(express.json());
+
+// Request ids for the logs (see log.js), per-route metrics and the in-flight
+// count graceful shutdown waits for (lifecycle.js), before anything can
+// reject the request
+app.use(requestContext(), httpMetrics(), trackRequests());
+
+// API keys (see auth.js), checked before any body is read. /health* stays open
+// for load balancers, except the readiness details; /docs takes any valid key.
+app.use('/docs', requireKey());
+app.use('/db/health', requireKey('health'));
+app.get(['/metrics', '/health/ready/details'], requireKey('health'));
+app.use(['/match', '/prompts', '/geo/resolve'], requireKey('match'));
+app.use(['/nurses', '/assignments', '/admin', '/geo/unresolved', '/metrics/usage'], requireKey('admin'));
+
+// Large enough for a bulk /nurses/import
+const BODY_LIMIT = process.env.BODY_LIMIT || '5mb';
+app.use(express.json({ limit: BODY_LIMIT }), requestContext());
 const PORT = process.env.PORT || 5003;
 
+// OpenAPI document generated from the request schema
+app.get('/docs/openapi.json', (_req, res) => res.json(buildOpenApi()));
+
 // Serve static docs
 app.use('/docs', express.static(path.join(__dirname, '..', 'docs')));
 
-app.get('/health', (_req, res) => res.json({ ok: true }));
+// Liveness: the process answers (/health kept for existing load balancers)
+app.get(['/health', '/health/live'], (_req, res) => res.json({ ok: true }));
+
+// Readiness: data source, roster and LLM provider (see health.js); 503 while
+// not ready or shutting down. Open, so pass/fail only; the messages need the
+// health scope.
+app.get('/health/ready', async (_req, res) => {
+  const report = await readiness();
+  res.status(report.ready ? 200 : 503).json(readinessSummary(report));
+});
+
+app.get('/health/ready/details', async (_req, res) => {
+  const report = await readiness();
+  res.status(report.ready ? 200 : 503).json(report);
+});
+
+// Prometheus scrape target (health scope)
+app.get('/metrics', (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
 
 app.get('/db/health', async (_req, res) => {
   try {
     const health = await dbHealth();
-    res.json(health);
+    res.json({ ...health, rosterCache: rosterStats(), llmCache: llmCacheStats() });
   } catch (error) {
     res.status(500).json({ error: 'Database health check failed', detail: error.message });
   }
 });
 
-// Query shape is shared with other services; the LLM sees full candidate list + query
-app.post('/match', async (req, res) => {
+// Server-Sent Events: progress while the match runs, each result as the model
+// produces it, then `done` with the same body POST /match returns
+async function streamMatch(q, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    'X-Query-Schema-Version': QUERY_SCHEMA_VERSION
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop the LLM call when the client goes away (or at the shutdown deadline)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15_000);
+
+  let streamed = 0;
+  try {
+    const roster = await getRoster();
+    send('candidates', { loaded: roster.nurses.length });
+    const { results, ...meta } = await runMatch(q, roster.nurses, {
+      index: roster.index,
+      client: req.apiKey?.id,
+      abortSignal: AbortSignal.any([controller.signal, shutdownSignal]),
+      onEvent: (event, data) => {
+        if (event === 'result') streamed++;
+        send(event, data);
+      }
+    });
+    // Rules engine, cache hits and non-streaming providers produce results at once
+    if (!streamed) results.forEach(r => send('result', r));
+    send('done', { count: results.length, results, ...meta });
+  } catch (e) {
+    if (shutdownSignal.aborted) {
+      send('error', { error: 'Service unavailable', detail: 'Server is shutting down' });
+    } else if (!controller.signal.aborted) {
+      if (e.status === 400) {
+        refundLlmCalls(req.apiKey?.id, usesLlm(q) ? 1 : 0);
+        log.warn('Request rejected', { status: 400, error: e.message });
+      } else log.error('Request failed', { err: e });
+      send('error', { error: 'Match error', detail: e?.message || String(e) });
+    }
+  } finally {
+    clearInterval(keepAlive);
+    res.end();
+  }
+}
+
+// Query shape is shared with other services; `mode` picks llm (default), rules or hybrid.
+// Clients sending `Accept: text/event-stream` get the streaming variant.
+app.post(['/match', '/match/stream'], async (req, res) => {
+  let llmCalls = 0;
+  try {
+    const { value: q, errors } = validateMatchQuery(req.body ?? {});
+    res.set('X-Query-Schema-Version', QUERY_SCHEMA_VERSION);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid request', errors });
+    }
+    llmCalls = usesLlm(q) ? 1 : 0;
+    if (!admitLlmCalls(req, res, llmCalls)) return;
+    if (req.path === '/match/stream' || req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+      return await streamMatch(q, req, res);
+    }
+    const roster = await getRoster();
+    const { results, ...meta } = await runMatch(q, roster.nurses, {
+      index: roster.index,
+      client: req.apiKey?.id,
+      abortSignal: shutdownSignal
+    });
+    res.json({ count: results.length, results, ...meta });
+  } catch (e) {
+    if (shutdownSignal.aborted) {
+      return res.status(503).json({ error: 'Service unavailable', detail: 'Server is shutting down' });
+    }
+    // Client errors found past validation (e.g. an unknown promptVersion) are
+    // not charged to the LLM quota
+    if (e.status === 400) {
+      refundLlmCalls(req.apiKey?.id, llmCalls);
+      log.warn('Request rejected', { status: 400, error: e.message });
+      return res.status(400).json({ error: 'Invalid request', errors: [{ field: e.field || '(body)', message: e.message }] });
+    }
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Match error', detail: e?.message || String(e) });
+  }
+});
+
+// Many queries at once; per-query results and errors, optional exclusive assignment
+app.post('/match/batch', async (req, res) => {
+  try {
+    const { value, errors } = validateBatch(req.body ?? {});
+    res.set('X-Query-Schema-Version', QUERY_SCHEMA_VERSION);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid request', errors });
+    }
+    const charged = value.items.filter(item => !item.errors.length && usesLlm(item.query));
+    if (!admitLlmCalls(req, res, charged.length)) return;
+    const started = Date.now();
+    const roster = await getRoster();
+    const queries = await runBatch(value.items, roster, { ...value, client: req.apiKey?.id, abortSignal: shutdownSignal });
+    // Queries runMatch rejected as invalid never reached the LLM
+    refundLlmCalls(req.apiKey?.id, charged.filter(item => queries[item.index].error === 'Invalid request').length);
+    if (shutdownSignal.aborted) {
+      return res.status(503).json({ error: 'Service unavailable', detail: 'Server is shutting down' });
+    }
+    const succeeded = queries.filter(q => q.ok).length;
+    res.json({
+      count: queries.length,
+      succeeded,
+      failed: queries.length - succeeded,
+      exclusive: value.exclusive,
+      durationMs: Date.now() - started,
+      queries
+    });
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Batch error', detail: e?.message || String(e) });
+  }
+});
+
+// Async jobs: 202 with a job id now, result later via polling or webhook
+app.post('/match/jobs', async (req, res) => {
+  let llmCalls = 0;
+  try {
+    const { value, errors } = validateJobRequest(req.body ?? {});
+    res.set('X-Query-Schema-Version', QUERY_SCHEMA_VERSION);
+    const callbackError = value?.callbackUrl && !errors.some(e => e.field === 'callbackUrl')
+      ? await callbackUrlProblem(value.callbackUrl)
+      : null;
+    if (callbackError) errors.push({ field: 'callbackUrl', message: callbackError });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid request', errors });
+    }
+    llmCalls = usesLlm(value.query) ? 1 : 0;
+    if (!admitLlmCalls(req, res, llmCalls)) return;
+    const job = submitJob(value.query, { callbackUrl: value.callbackUrl, client: req.apiKey?.id, llmCalls });
+    res.status(202).location(`/match/jobs/${job.id}`).json(jobView(job));
+  } catch (e) {
+    if (e.status === 503) {
+      refundLlmCalls(req.apiKey?.id, llmCalls);
+      return res.status(503).set('Retry-After', '5').json({ error: 'Job queue full', detail: e.message });
+    }
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Job error', detail: e?.message || String(e) });
+  }
+});
+
+app.get('/match/jobs', (_req, res) => res.json(jobStats()));
+
+// A job is visible to the key that submitted it and to admin keys; to
+// anyone else it does not exist
+function ownJob(req) {
+  const job = getJob(req.params.id);
+  return job && isOwnerOrAdmin(req, job.client) ? job : null;
+}
+
+app.get('/match/jobs/:id', (req, res) => {
+  const job = ownJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', detail: req.params.id });
+  }
+  res.json(jobView(job));
+});
+
+// Cancelling a running job aborts its LLM call
+app.delete('/match/jobs/:id', (req, res) => {
+  const job = ownJob(req) && cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', detail: req.params.id });
+  }
+  res.json(jobView(job));
+});
+
+// LLM spend since ?from (default the last 7 days), overall and by day, client
+// (API key), prompt version and model; in-memory, so per process
+app.get('/metrics/usage', (req, res) => {
+  const { from, client } = req.query;
+  if (from != null && (!/^\d{4}-\d{2}-\d{2}$/.test(from) || Number.isNaN(Date.parse(from)))) {
+    return res.status(400).json({ error: 'Invalid request', errors: [{ field: 'from', message: 'must be a date (YYYY-MM-DD)' }] });
+  }
+  res.json(usageMetrics({ from, client }));
+});
+
+// Prompt templates a /match query can name in promptVersion
+app.get('/prompts', async (_req, res) => {
+  try {
+    const prompts = await listPromptTemplates();
+    res.json({ count: prompts.length, prompts });
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Prompt error', detail: e?.message || String(e) });
+  }
+});
+
+// Gazetteer lookups: which locality a spelling resolves to, and which roster
+// cities could not be placed
+app.get('/geo/resolve', async (req, res) => {
+  try {
+    const city = String(req.query.city ?? '').trim();
+    if (!city) {
+      return res.status(400).json({ error: 'Invalid request', errors: [{ field: 'city', message: 'is required' }] });
+    }
+    const place = (await loadGazetteer()).resolve(city);
+    if (!place) {
+      return res.status(404).json({ error: 'Unknown city', detail: city });
+    }
+    res.json({ query: city, ...place });
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Geo error', detail: e?.message || String(e) });
+  }
+});
+
+app.get('/geo/unresolved', async (_req, res) => {
+  try {
+    const roster = await getRoster();
+    const cities = unresolvedCities(roster.nurses);
+    res.json({ count: cities.length, nurses: cities.reduce((sum, c) => sum + c.nurses, 0), cities });
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Geo error', detail: e?.message || String(e) });
+  }
+});
+
+// Nurse roster CRUD; writes go to the configured database or data/nurses.json
+app.get('/nurses', async (req, res) => {
+  try {
+    const { city, status, service } = req.query;
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 100), 1000);
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const roster = await getRoster();
+    // Any spelling of a known city finds its canonical name in the index
+    const place = city ? (await loadGazetteer()).resolve(city) : null;
+    const nurses = (city ? roster.index.byCity.get(norm(place?.name ?? city)) || [] : roster.nurses).filter(n =>
+      (!status || String(n.status || '').toUpperCase() === status.toUpperCase()) &&
+      (!service || termMatches(service.trim().toLowerCase(), [...asList(n.services), ...asList(n.expertiseTags)]))
+    );
+    res.json({ total: nurses.length, count: Math.max(0, Math.min(limit, nurses.length - offset)), nurses: nurses.slice(offset, offset + limit) });
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Nurse error', detail: e?.message || String(e) });
+  }
+});
+
+app.get('/nurses/:id', async (req, res) => {
+  try {
+    const nurse = await getNurse(req.params.id);
+    if (!nurse) {
+      return res.status(404).json({ error: 'Nurse not found', detail: req.params.id });
+    }
+    res.json(nurse);
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Nurse error', detail: e?.message || String(e) });
+  }
+});
+
+app.post('/nurses', async (req, res) => {
+  try {
+    const { value, errors } = prepareNurse(req.body ?? {});
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid request', errors });
+    }
+    const { nurse } = await saveNurse(value, { createOnly: true });
+    invalidateRoster(`nurse ${nurse.id} created`);
+    res.status(201).json(nurse);
+  } catch (e) {
+    if (e.status === 409) {
+      return res.status(409).json({ error: 'Nurse already exists', detail: e.message });
+    }
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Nurse error', detail: e?.message || String(e) });
+  }
+});
+
+// Full replace; creates the nurse when the id is new
+app.put('/nurses/:id', async (req, res) => {
+  try {
+    const body = req.body ?? {};
+    if (body.id != null && body.id !== req.params.id) {
+      return res.status(400).json({ error: 'Invalid request', errors: [{ field: 'id', message: 'does not match the URL' }] });
+    }
+    const { value, errors } = prepareNurse({ ...body, id: req.params.id });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid request', errors });
+    }
+    const { nurse, created } = await saveNurse(value);
+    invalidateRoster(`nurse ${nurse.id} replaced`);
+    res.status(created ? 201 : 200).json(nurse);
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Nurse error', detail: e?.message || String(e) });
+  }
+});
+
+app.patch('/nurses/:id', async (req, res) => {
+  try {
+    const errors = validateNursePatch(req.body ?? {});
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid request', errors });
+    }
+    const nurse = await updateNurse(req.params.id, req.body);
+    if (!nurse) {
+      return res.status(404).json({ error: 'Nurse not found', detail: req.params.id });
+    }
+    invalidateRoster(`nurse ${nurse.id} updated`);
+    res.json(nurse);
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Nurse error', detail: e?.message || String(e) });
+  }
+});
+
+app.delete('/nurses/:id', async (req, res) => {
   try {
-    const q = req.body || {};
-    const allNurses = await loadNurses();
-    const results = await llmMatch(q, allNurses);
-    res.json({ count: results.length, results });
+    if (!(await deleteNurse(req.params.id))) {
+      return res.status(404).json({ error: 'Nurse not found', detail: req.params.id });
+    }
+    invalidateRoster(`nurse ${req.params.id} deleted`);
+    res.status(204).end();
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'LLM error', detail: e?.message || String(e) });
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Nurse error', detail: e?.message || String(e) });
   }
 });
 
+// Bulk upsert from the CSV export format or a JSON array. `?mode=create`
+// rejects ids that already exist instead of replacing them.
+app.post('/nurses/import', express.text({ type: ['text/csv', 'text/plain'], limit: BODY_LIMIT }), requestContext(), async (req, res) => {
+  try {
+    const csv = req.is(['text/csv', 'text/plain']) !== false;
+    const parsed = csv
+      ? parseNurseImport(req.body, { csv, mapping: await loadCsvMapping(), gazetteer: await loadGazetteer() })
+      : parseNurseImport(req.body);
+    const report = await importNurses(parsed.nurses, { createOnly: req.query.mode === 'create' });
+    if (report.created.length || report.updated.length) invalidateRoster('nurses imported');
+
+    const rowById = new Map(parsed.nurses.map((n, i) => [n.id, parsed.rows[i]]));
+    const rejected = [
+      ...parsed.rejected,
+      ...report.rejected.map(r => ({ row: rowById.get(r.id), ...r }))
+    ].sort((a, b) => a.row - b.row);
+
+    res.json({
+      summary: {
+        received: parsed.nurses.length + parsed.rejected.length,
+        created: report.created.length,
+        updated: report.updated.length,
+        rejected: rejected.length
+      },
+      created: report.created,
+      updated: report.updated,
+      rejected,
+      ...(csv ? { unresolvedCities: parsed.unresolvedCities, ingestion: parsed.report } : {})
+    });
+  } catch (e) {
+    if (e.status === 400 || e.code?.startsWith?.('CSV_')) {
+      return res.status(400).json({ error: 'Invalid request', errors: [{ field: '(body)', message: e.message }] });
+    }
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Import error', detail: e?.message || String(e) });
+  }
+});
+
+// Drop the roster cache and load it again, e.g. after editing the database directly
+app.post('/admin/reload', async (_req, res) => {
+  try {
+    const roster = await reloadRoster();
+    res.json({ reloaded: true, count: roster.nurses.length, loadMs: roster.loadMs });
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Reload failed', detail: e?.message || String(e) });
+  }
+});
+
+// What the last sample CSV load kept, filtered and could not map
+app.get('/admin/ingestion', async (_req, res) => {
+  try {
+    await getRoster();
+    const report = lastIngestionReport();
+    if (!report) {
+      return res.status(404).json({ error: 'No CSV ingestion', detail: 'The roster is not loaded from the sample CSV' });
+    }
+    res.json(report);
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Ingestion report failed', detail: e?.message || String(e) });
+  }
+});
+
+// API keys with this process's usage; reload re-reads the key store now
+// instead of after API_KEYS_CACHE_TTL_MS
+app.get('/admin/keys', async (_req, res) => {
+  try {
+    res.json(await apiKeyStats());
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Key store error', detail: e?.message || String(e) });
+  }
+});
+
+app.post('/admin/keys/reload', async (_req, res) => {
+  invalidateApiKeys();
+  try {
+    const stats = await apiKeyStats();
+    res.json({ reloaded: true, enabled: stats.enabled, count: stats.keys.length });
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Key store error', detail: e?.message || String(e) });
+  }
+});
+
+// Assignments: record which nurse was booked so /match stops recommending them
+app.post('/assignments', async (req, res) => {
+  try {
+    const errors = validateBody(ASSIGNMENT_SCHEMA, req.body ?? {});
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid request', errors });
+    }
+    const { index } = await getRoster();
+    if (!index.byId.has(req.body.nurseId)) {
+      return res.status(404).json({ error: 'Nurse not found', detail: req.body.nurseId });
+    }
+    const assignment = await createAssignment(req.body);
+    res.status(201).json(assignment);
+  } catch (e) {
+    if (e.status === 409) {
+      return res.status(409).json({ error: 'Nurse already booked', detail: e.message, conflict: e.conflict });
+    }
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Assignment error', detail: e?.message || String(e) });
+  }
+});
+
+app.get('/assignments', async (req, res) => {
+  try {
+    const { nurseId, status, from, to } = req.query;
+    for (const [field, value] of Object.entries({ from, to })) {
+      if (value != null && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: 'Invalid request', errors: [{ field, message: 'must be an ISO 8601 date-time' }] });
+      }
+    }
+    const assignments = await listAssignments({ nurseId, status, from, to });
+    res.json({ count: assignments.length, assignments });
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Assignment error', detail: e?.message || String(e) });
+  }
+});
+
+// Cancellation keeps the record (status: cancelled) for auditing
+app.delete('/assignments/:id', async (req, res) => {
+  try {
+    const assignment = await cancelAssignment(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found', detail: req.params.id });
+    }
+    res.json(assignment);
+  } catch (e) {
+    log.error('Request failed', { err: e });
+    res.status(500).json({ error: 'Assignment error', detail: e?.message || String(e) });
+  }
+});
+
+// Malformed JSON bodies get the same error shape as schema failures
+app.use((err, _req, res, next) => {
+  if (err?.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid request', errors: [{ field: '(body)', message: 'must be valid JSON' }] });
+  }
+  next(err);
+});
+
 // Initialize database on startup
-await initDb().catch(e => console.warn('DB init error:', e.message));
+await initDb().catch(e => log.warn('DB init error', { err: e }));
 
-app.listen(PORT, () => {
-  console.log('LLM Matching listening on :' + PORT);
-  console.log(`Docs at http://localhost:${PORT}/docs/demo.html`);
-  if (process.env.AZURE_OPENAI_URI) {
-    const url = new URL(process.env.AZURE_OPENAI_URI);
-    console.log(`Azure OpenAI configured: ${url.protocol}//${url.hostname}/...`);
-  } else {
-    console.log('Warning: AZURE_OPENAI_URI not configured');
+const server = app.listen(PORT, async () => {
+  log.info(`LLM Matching listening on :${PORT}`, { docs: `http://localhost:${PORT}/docs/demo.html` });
+  try {
+    const provider = getProvider();
+    if (provider.isConfigured()) {
+      log.info('LLM provider configured', { provider: provider.describe() });
+    } else {
+      log.warn('LLM provider not configured (rules engine fallback)', { provider: provider.name });
+    }
+  } catch (e) {
+    log.warn('LLM provider unavailable', { err: e });
   }
+  const auth = await describeAuth();
+  log[auth.level](auth.message);
 });
+
+handleShutdownSignals(server);
@@ -0,0 +1,258 @@
+import { createHash } from 'crypto';
+import { loadApiKeys } from '../db.js';
+import { log } from './log.js';
+
+// API key authentication. Keys are stored hashed (config/api-keys.json, or the
+// api_keys table/collection with API_KEYS_SOURCE=db) as
+//
+//   { id, hash: "sha256:<hex>", scopes: ["match" | "admin" | "health"],
+//     rateLimitPerMinute?, dailyLlmQuota?, disabled?, expiresAt? }
+//
+// and presented as `X-API-Key: <key>`, `Authorization: Bearer <key>`, or as
+// the Basic auth password (so a browser can open /docs). `admin` implies every
+// other scope.
+//
+// With no key store every protected request is refused (503): the API is
+// never open by accident. AUTH_DISABLED=true turns auth off altogether, for
+// local development. Rate windows and LLM quotas are counted in memory, per
+// process.
+
+export const SCOPES = ['match', 'admin', 'health'];
+
+const CACHE_TTL_MS = Number(process.env.API_KEYS_CACHE_TTL_MS ?? 30_000);
+const DEFAULT_RATE_LIMIT = Number(process.env.API_RATE_LIMIT_PER_MINUTE ?? 60);
+// 0 = unlimited
+const DEFAULT_LLM_QUOTA = Number(process.env.API_DAILY_LLM_QUOTA ?? 0);
+const WINDOW_MS = 60_000;
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+let cached = null;      // { byHash, loadedAt } or { byHash: null } without a key store
+let loading = null;
+
+const windows = new Map();  // key id -> { start, count }
+const llmCalls = new Map(); // key id -> { day, count }
+
+export function hashApiKey(key) {
+  return `sha256:${createHash('sha256').update(String(key)).digest('hex')}`;
+}
+
+async function keyTable() {
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.byHash;
+  if (!loading) {
+    loading = loadApiKeys()
+      .then(keys => {
+        const byHash = keys ? new Map(keys.map(k => [k.hash, k])) : null;
+        cached = { byHash, loadedAt: Date.now() };
+        return byHash;
+      })
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+/**
+ * Drop the cached key table so the next request reads the key store again.
+ */
+export function invalidateApiKeys() {
+  cached = null;
+}
+
+function presentedKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const [scheme, credentials] = (req.get('authorization') || '').split(' ');
+  if (/^bearer$/i.test(scheme) && credentials) return credentials.trim();
+  if (/^basic$/i.test(scheme) && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    return decoded.slice(decoded.indexOf(':') + 1) || null;
+  }
+  return null;
+}
+
+function hasScope(key, scope) {
+  const scopes = key.scopes || [];
+  return !scope || scopes.includes(scope) || scopes.includes('admin');
+}
+
+function isUsable(key) {
+  return key && !key.disabled && !(key.expiresAt && Date.parse(key.expiresAt) <= Date.now());
+}
+
+function rateLimitOf(key) {
+  return key.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT;
+}
+
+function llmQuotaOf(key) {
+  return key.dailyLlmQuota ?? DEFAULT_LLM_QUOTA;
+}
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsToUtcMidnight(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - now) / 1000);
+}
+
+// Fixed one-minute window per key; 0 means no limit
+function takeRequest(key, now = Date.now()) {
+  const limit = rateLimitOf(key);
+  if (!limit) return { ok: true };
+  let window = windows.get(key.id);
+  if (!window || now - window.start >= WINDOW_MS) {
+    window = { start: now, count: 0 };
+    windows.set(key.id, window);
+  }
+  const resetSec = Math.ceil((window.start + WINDOW_MS - now) / 1000);
+  if (window.count >= limit) return { ok: false, limit, remaining: 0, resetSec };
+  window.count++;
+  return { ok: true, limit, remaining: limit - window.count, resetSec };
+}
+
+function unauthorized(req, res, detail) {
+  // Basic for /docs so browsers prompt for credentials
+  const challenge = req.originalUrl.startsWith('/docs') ? 'Basic realm="docs", charset="UTF-8"' : 'Bearer';
+  return res.status(401).set('WWW-Authenticate', challenge).json({ error: 'Unauthorized', detail });
+}
+
+/**
+ * Middleware admitting requests with a valid key holding `scope` (any valid
+ * key when omitted) and within the key's per-minute rate limit. Sets
+ * req.apiKey; leaves it unset when auth is disabled.
+ */
+export function requireKey(scope) {
+  return async (req, res, next) => {
+    if (AUTH_DISABLED) return next();
+    let keys;
+    try {
+      keys = await keyTable();
+    } catch (e) {
+      log.error('API key store unavailable', { err: e });
+      return res.status(503).json({ error: 'Service unavailable', detail: 'API key store unavailable' });
+    }
+    if (!keys) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        detail: 'No API keys are configured (see npm run api-key, or set AUTH_DISABLED=true for local development)'
+      });
+    }
+
+    const presented = presentedKey(req);
+    if (!presented) return unauthorized(req, res, 'API key required (X-API-Key or Authorization header)');
+    const key = keys.get(hashApiKey(presented));
+    if (!isUsable(key)) return unauthorized(req, res, 'Invalid, disabled or expired API key');
+    if (!hasScope(key, scope)) {
+      return res.status(403).json({ error: 'Forbidden', detail: `API key "${key.id}" does not have the "${scope}" scope` });
+    }
+
+    const rate = takeRequest(key);
+    if (rate.limit) {
+      res.set({ 'X-RateLimit-Limit': String(rate.limit), 'X-RateLimit-Remaining': String(rate.remaining), 'X-RateLimit-Reset': String(rate.resetSec) });
+    }
+    if (!rate.ok) {
+      return res.status(429).set('Retry-After', String(rate.resetSec)).json({
+        error: 'Rate limit exceeded',
+        detail: `API key "${key.id}" is limited to ${rate.limit} requests per minute`
+      });
+    }
+    req.apiKey = key;
+    next();
+  };
+}
+
+/**
+ * Whether the request's key may see a resource submitted by key `owner`:
+ * its own, or any with the admin scope. Always true with auth off.
+ */
+export function isOwnerOrAdmin(req, owner) {
+  const key = req.apiKey;
+  return !key || key.id === owner || hasScope(key, 'admin');
+}
+
+/**
+ * Charge `calls` LLM calls to the request's key for today (UTC). Returns true
+ * when admitted; otherwise sends 429 with Retry-After (seconds to UTC
+ * midnight) and returns false. A request is charged in full or not at all.
+ */
+export function admitLlmCalls(req, res, calls) {
+  const key = req.apiKey;
+  if (!key || !calls) return true;
+  const quota = llmQuotaOf(key);
+  if (!quota) return true;
+
+  const day = utcDay();
+  let used = llmCalls.get(key.id);
+  if (!used || used.day !== day) {
+    used = { day, count: 0 };
+    llmCalls.set(key.id, used);
+  }
+  if (used.count + calls > quota) {
+    res.set({ 'X-LLM-Quota-Limit': String(quota), 'X-LLM-Quota-Remaining': String(quota - used.count) });
+    res.status(429).set('Retry-After', String(secondsToUtcMidnight())).json({
+      error: 'Daily LLM quota exceeded',
+      detail: `API key "${key.id}" has used ${used.count} of ${quota} LLM calls today; this request needs ${calls}`
+    });
+    return false;
+  }
+  used.count += calls;
+  res.set({ 'X-LLM-Quota-Limit': String(quota), 'X-LLM-Quota-Remaining': String(quota - used.count) });
+  return true;
+}
+
+/**
+ * Give back `calls` LLM calls charged today to key `keyId`, for admitted
+ * requests that were then rejected as invalid (400) before calling the LLM.
+ */
+export function refundLlmCalls(keyId, calls) {
+  const used = llmCalls.get(keyId);
+  if (!used || !calls || used.day !== utcDay()) return;
+  used.count = Math.max(0, used.count - calls);
+}
+
+/**
+ * Configured keys (no hashes) with this process's usage: requests in the
+ * current rate window and LLM calls charged today.
+ */
+export async function apiKeyStats() {
+  if (AUTH_DISABLED) return { enabled: false, keys: [] };
+  const keys = await keyTable();
+  if (!keys) return { enabled: true, keys: [] };
+  const now = Date.now();
+  const day = utcDay(now);
+  return {
+    enabled: true,
+    keys: [...keys.values()].map(key => {
+      const window = windows.get(key.id);
+      const used = llmCalls.get(key.id);
+      return {
+        id: key.id,
+        scopes: key.scopes || [],
+        disabled: Boolean(key.disabled),
+        expiresAt: key.expiresAt ?? null,
+        rateLimitPerMinute: rateLimitOf(key),
+        requestsThisMinute: window && now - window.start < WINDOW_MS ? window.count : 0,
+        dailyLlmQuota: llmQuotaOf(key),
+        llmCallsToday: used?.day === day ? used.count : 0
+      };
+    })
+  };
+}
+
+/**
+ * Startup check: { level, message }, level warn when the API is open or
+ * refuses everything.
+ */
+export async function describeAuth() {
+  if (AUTH_DISABLED) {
+    return { level: 'warn', message: 'AUTH_DISABLED=true: API key auth is off and the API is open' };
+  }
+  try {
+    const keys = await keyTable();
+    if (keys) return { level: 'info', message: `API key auth on (${keys.size} keys)` };
+    return { level: 'warn', message: 'No API keys configured: protected routes answer 503 (see npm run api-key)' };
+  } catch (e) {
+    return { level: 'warn', message: `API key store unavailable (${e.message}): protected routes answer 503` };
+  }
+}
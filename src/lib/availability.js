@@ -0,0 +1,358 @@
+// One availability model for every data source, plus window coverage.
+//
+// Normalized shape:
+//   {
+//     timezone: 'Asia/Jerusalem',
+//     weekly: { sun: [{ start: '08:00', end: '16:00' }], mon: [...], ... },  // local wall time
+//     ranges: [{ from: ISO, to: ISO }],        // absolute periods of availability
+//     exceptions: [{ from: ISO, to: ISO, available: false }],  // dated overrides
+//     unknown: false                           // true when the source could not be interpreted
+//   }
+//
+// Sources seen in the wild:
+//   nurses.json   weekly { mon: [{ start, end }] }
+//   nurses.csv    single { from, to } UTC range
+//   Postgres/Mongo free-text array, e.g. ['Mon-Fri 9-5', 'Weekends', '24/7 On-Call']
+
+export const DEFAULT_TIMEZONE = process.env.AVAILABILITY_TZ || 'Asia/Jerusalem';
+
+export const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest window we expand day by day; longer requests are clipped
+const MAX_WINDOW_DAYS = 400;
+
+const DAY_ALIASES = {
+  sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6
+};
+
+const formatters = new Map();
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+// Local calendar fields of an instant in `timezone`
+function localParts(ts, timezone) {
+  const parts = {};
+  for (const p of formatterFor(timezone).formatToParts(new Date(ts))) {
+    if (p.type !== 'literal') parts[p.type] = Number(p.value);
+  }
+  return parts;
+}
+
+// Zone offsets only change on whole-hour (or half-hour) boundaries, so cache
+// per 15-minute bucket; Intl formatting is the hot path in coverage()
+const offsetCache = new Map();
+const OFFSET_BUCKET_MS = 15 * 60 * 1000;
+
+function offsetMs(ts, timezone) {
+  const bucket = Math.floor(ts / OFFSET_BUCKET_MS);
+  const key = `${timezone}|${bucket}`;
+  let offset = offsetCache.get(key);
+  if (offset === undefined) {
+    const at = bucket * OFFSET_BUCKET_MS;
+    const p = localParts(at, timezone);
+    offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - at;
+    if (offsetCache.size > 100_000) offsetCache.clear();
+    offsetCache.set(key, offset);
+  }
+  return offset;
+}
+
+/**
+ * UTC timestamp of a local wall-clock time in `timezone` (DST aware).
+ */
+export function zonedToUtc(year, month, day, minutes, timezone = DEFAULT_TIMEZONE) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const first = guess - offsetMs(guess, timezone);
+  // Re-check the offset at the candidate instant in case we crossed a DST switch
+  return guess - offsetMs(first, timezone);
+}
+
+/**
+ * Parse an ISO date-time. Values without Z/offset are local time in
+ * `timezone`; bare dates are local midnight. Returns a timestamp or NaN.
+ */
+export function parseInstant(value, timezone = DEFAULT_TIMEZONE) {
+  if (value == null || value === '') return NaN;
+  if (value instanceof Date) return value.getTime();
+  const str = String(value);
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(str)) return Date.parse(str);
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!m) return Date.parse(str);
+  const [, y, mo, d, h = '0', mi = '0', s = '0'] = m;
+  return zonedToUtc(Number(y), Number(mo), Number(d), Number(h) * 60 + Number(mi), timezone) + Number(s) * 1000;
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+function hhmm(minutes) {
+  const h = Math.floor(minutes / 60) % 24;
+  return `${String(h).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function emptyWeek() {
+  return Object.fromEntries(DAY_KEYS.map(d => [d, []]));
+}
+
+function allWeek(start = '00:00', end = '24:00') {
+  return Object.fromEntries(DAY_KEYS.map(d => [d, [{ start, end }]]));
+}
+
+function toIso(value, timezone) {
+  const ts = parseInstant(value, timezone);
+  return Number.isNaN(ts) ? null : new Date(ts).toISOString();
+}
+
+// "9-5", "09:00-17:00", "9am-5pm"
+function parseHours(text) {
+  const m = text.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*-\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
+  if (!m) return null;
+  let startH = Number(m[1]);
+  let endH = Number(m[4]);
+  const startAmPm = m[3]?.toLowerCase();
+  const endAmPm = m[6]?.toLowerCase();
+  if (startAmPm === 'pm' && startH < 12) startH += 12;
+  if (endAmPm === 'pm' && endH < 12) endH += 12;
+  // "9-5" style without am/pm: an end before the start means afternoon
+  if (!startAmPm && !endAmPm && endH <= startH && endH < 12) endH += 12;
+  return { start: hhmm(startH * 60 + Number(m[2] || 0)), end: hhmm(endH * 60 + Number(m[5] || 0)) };
+}
+
+// "Mon-Fri", "Sun,Tue", "Weekends"
+function parseDays(text) {
+  const lower = text.toLowerCase();
+  // Israeli week: the weekend is Friday-Saturday
+  if (/weekends?/.test(lower)) return [5, 6];
+  if (/weekdays?/.test(lower)) return [0, 1, 2, 3, 4];
+  const range = lower.match(/\b([a-z]{3,9})\s*-\s*([a-z]{3,9})\b/);
+  if (range && DAY_ALIASES[range[1]] != null && DAY_ALIASES[range[2]] != null) {
+    const days = [];
+    for (let d = DAY_ALIASES[range[1]]; ; d = (d + 1) % 7) {
+      days.push(d);
+      if (d === DAY_ALIASES[range[2]]) break;
+    }
+    return days;
+  }
+  const listed = (lower.match(/[a-z]+/g) || []).map(w => DAY_ALIASES[w]).filter(d => d != null);
+  return listed.length ? listed : null;
+}
+
+/**
+ * Interpret one free-text entry ("Mon-Fri 9-5", "Night Shift", ...) into
+ * weekly slots. Returns null when the text is not understood.
+ */
+function parseTextEntry(text) {
+  const lower = text.toLowerCase();
+  if (/24\s*\/\s*7|on-?call|flexible|any ?time/.test(lower)) return allWeek();
+  if (/night/.test(lower)) return allWeek('22:00', '06:00');
+
+  const days = parseDays(text);
+  const hours = parseHours(text) || (days ? { start: '00:00', end: '24:00' } : null);
+  if (!hours) return null;
+  // Hours without days ("9-5") means every day
+  const week = emptyWeek();
+  for (const d of days || [0, 1, 2, 3, 4, 5, 6]) week[DAY_KEYS[d]].push({ ...hours });
+  return week;
+}
+
+function mergeWeeks(target, source) {
+  for (const d of DAY_KEYS) target[d].push(...(source[d] || []));
+}
+
+/**
+ * Normalize any supported availability representation into the model above.
+ */
+export function normalizeAvailability(raw, { timezone } = {}) {
+  const tz = raw?.timezone || timezone || DEFAULT_TIMEZONE;
+  const model = { timezone: tz, weekly: emptyWeek(), ranges: [], exceptions: [], unknown: false };
+
+  if (raw == null || (Array.isArray(raw) && raw.length === 0)) {
+    model.unknown = true;
+    return model;
+  }
+
+  if (Array.isArray(raw)) {
+    let understood = 0;
+    for (const entry of raw) {
+      if (entry && typeof entry === 'object') {
+        if (entry.from || entry.to) {
+          model.ranges.push({ from: toIso(entry.from, tz), to: toIso(entry.to, tz) });
+          understood++;
+        }
+        continue;
+      }
+      const week = parseTextEntry(String(entry));
+      if (week) {
+        mergeWeeks(model.weekly, week);
+        understood++;
+      }
+    }
+    model.unknown = understood === 0;
+    return model;
+  }
+
+  if (typeof raw === 'string') return normalizeAvailability([raw], { timezone: tz });
+
+  // Already normalized (or partially so); day keys may sit alongside exceptions
+  if (raw.weekly || raw.ranges || raw.exceptions) {
+    if (raw.weekly) mergeWeeks(model.weekly, raw.weekly);
+    addDayKeys(raw, model);
+    model.ranges = (raw.ranges || []).map(r => ({ from: toIso(r.from, tz), to: toIso(r.to, tz) }));
+    model.exceptions = (raw.exceptions || []).map(e => ({
+      from: toIso(e.from ?? e.date, tz),
+      to: toIso(e.to ?? nextDay(e.date), tz),
+      available: Boolean(e.available)
+    })).filter(e => e.from && e.to);
+    model.unknown = Boolean(raw.unknown);
+    return model;
+  }
+
+  // Single absolute range (CSV loader)
+  if (raw.from || raw.to) {
+    model.ranges.push({ from: toIso(raw.from, tz), to: toIso(raw.to, tz) });
+    return model;
+  }
+
+  // Weekly schedule keyed by day
+  model.unknown = addDayKeys(raw, model) === 0;
+  return model;
+}
+
+// Copy { mon: [{ start, end }], ... } entries into model.weekly; returns how many days were found
+function addDayKeys(raw, model) {
+  let found = 0;
+  for (const [key, slots] of Object.entries(raw)) {
+    const day = DAY_ALIASES[key.toLowerCase()];
+    if (day == null || !Array.isArray(slots)) continue;
+    model.weekly[DAY_KEYS[day]].push(...slots.map(s => ({ start: s.start, end: s.end })));
+    found++;
+  }
+  return found;
+}
+
+function nextDay(date) {
+  if (!date) return null;
+  const [y, m, d] = String(date).split('-').map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + 1));
+  return next.toISOString().slice(0, 10);
+}
+
+function mergeIntervals(intervals) {
+  const sorted = intervals.filter(([a, b]) => b > a).sort((x, y) => x[0] - y[0]);
+  const out = [];
+  for (const [a, b] of sorted) {
+    const last = out[out.length - 1];
+    if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+    else out.push([a, b]);
+  }
+  return out;
+}
+
+function subtract(intervals, holes) {
+  let current = intervals;
+  for (const [ha, hb] of holes) {
+    const next = [];
+    for (const [a, b] of current) {
+      if (hb <= a || ha >= b) { next.push([a, b]); continue; }
+      if (ha > a) next.push([a, ha]);
+      if (hb < b) next.push([hb, b]);
+    }
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * Share (0..1) of the [start, end) window covered by the nurse's availability.
+ * Accepts a normalized model or any raw representation. Returns null when the
+ * window is missing/invalid or the availability is unknown.
+ */
+export function coverage(availability, start, end) {
+  const model = availability && availability.weekly && availability.ranges
+    ? availability
+    : normalizeAvailability(availability);
+  if (model.unknown) return null;
+
+  const tz = model.timezone || DEFAULT_TIMEZONE;
+  const from = parseInstant(start, tz);
+  let to = parseInstant(end, tz);
+  if (Number.isNaN(from) || Number.isNaN(to) || to <= from) return null;
+  to = Math.min(to, from + MAX_WINDOW_DAYS * DAY_MS);
+
+  const covered = [];
+
+  for (const r of model.ranges) {
+    const a = r.from ? Date.parse(r.from) : -Infinity;
+    const b = r.to ? Date.parse(r.to) : Infinity;
+    covered.push([Math.max(a, from), Math.min(b, to)]);
+  }
+
+  // Expand weekly slots for every local day touching the window (one day of
+  // slack on each side for overnight slots)
+  const hasWeekly = DAY_KEYS.some(d => model.weekly[d]?.length);
+  if (hasWeekly) {
+    const first = localParts(from - DAY_MS, tz);
+    let cursor = Date.UTC(first.year, first.month - 1, first.day);
+    const last = to + DAY_MS;
+    for (; zonedToUtc(...ymd(cursor), 0, tz) < last; cursor += DAY_MS) {
+      const [y, m, d] = ymd(cursor);
+      const slots = model.weekly[DAY_KEYS[new Date(cursor).getUTCDay()]] || [];
+      for (const slot of slots) {
+        const startMin = minutesOf(slot.start);
+        let endMin = minutesOf(slot.end);
+        if (endMin <= startMin) endMin += 24 * 60; // overnight
+        const a = zonedToUtc(y, m, d, startMin, tz);
+        const b = zonedToUtc(y, m, d, endMin, tz);
+        covered.push([Math.max(a, from), Math.min(b, to)]);
+      }
+    }
+  }
+
+  for (const e of model.exceptions.filter(x => x.available)) {
+    covered.push([Math.max(Date.parse(e.from), from), Math.min(Date.parse(e.to), to)]);
+  }
+
+  const blocked = model.exceptions
+    .filter(x => !x.available)
+    .map(e => [Date.parse(e.from), Date.parse(e.to)]);
+
+  const available = subtract(mergeIntervals(covered), blocked);
+  const total = available.reduce((sum, [a, b]) => sum + (b - a), 0);
+  return Math.min(1, total / (to - from));
+}
+
+function ymd(utcMidnight) {
+  const d = new Date(utcMidnight);
+  return [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate()];
+}
+
+// Coverage is asked for several times per request (shortlist filter, scoring,
+// prompt); remember the last window per nurse object
+const nurseCoverageCache = new WeakMap();
+
+/**
+ * coverage() for a nurse record, memoized per (nurse, window).
+ */
+export function nurseCoverage(nurse, start, end) {
+  if (!nurse || !start || !end) return null;
+  const key = `${start}|${end}`;
+  const hit = nurseCoverageCache.get(nurse);
+  if (hit && hit.key === key) return hit.value;
+  const value = coverage(nurse.availability, start, end);
+  nurseCoverageCache.set(nurse, { key, value });
+  return value;
+}
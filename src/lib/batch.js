@@ -0,0 +1,107 @@
+import { log } from './log.js';
+import { runMatch } from './match.js';
+import { DEFAULT_SHORTLIST_SIZE, MAX_SHORTLIST_SIZE } from './shortlist.js';
+
+// Many /match queries in one request (e.g. a coordinator's day plan), run in
+// parallel against one roster snapshot.
+
+const DEFAULT_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+const MAX_CONCURRENCY = 10;
+
+// Run fn over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+function windowOf(query) {
+  if (!query.start || !query.end) return null;
+  return { start: Date.parse(query.start), end: Date.parse(query.end) };
+}
+
+// Without a window we cannot tell, so assume the requests collide
+function overlapping(a, b) {
+  if (!a || !b) return true;
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Give every query a distinct nurse among requests whose windows overlap.
+ * Urgent queries pick first, then batch order. Each query's best remaining
+ * nurse becomes `assigned`; nurses assigned to an overlapping query are
+ * removed from its results and listed in `conflicts`.
+ */
+function assignExclusive(items, outcomes) {
+  const order = items
+    .filter(item => outcomes[item.index].ok)
+    .sort((a, b) => Number(Boolean(b.query.urgent)) - Number(Boolean(a.query.urgent)) || a.index - b.index);
+
+  const taken = []; // { nurseId, window, by }
+  for (const item of order) {
+    const outcome = outcomes[item.index];
+    const window = windowOf(item.query);
+    const conflicts = [];
+    const free = outcome.results.filter(r => {
+      const holder = taken.find(t => t.nurseId === r.id && overlapping(t.window, window));
+      if (holder) conflicts.push({ id: r.id, assignedTo: holder.by });
+      return !holder;
+    });
+    outcome.results = free.slice(0, Number(item.query.topK) || 5);
+    outcome.count = outcome.results.length;
+    outcome.assigned = outcome.results[0]?.id ?? null;
+    if (conflicts.length) outcome.conflicts = conflicts;
+    if (outcome.assigned) {
+      taken.push({ nurseId: outcome.assigned, window, by: item.ref ?? item.index });
+    }
+  }
+}
+
+/**
+ * Match every validated batch item (see validateBatch in schema.js) against
+ * `roster` ({ nurses, index } from roster.js).
+ *
+ * Returns one outcome per item, in input order:
+ *   { index, ref, ok: true, count, results, engine, stages, ..., assigned? }
+ *   { index, ref, ok: false, error, errors | detail }
+ */
+export async function runBatch(items, roster, { exclusive = false, concurrency, client, abortSignal } = {}) {
+  const limit = Math.min(Math.max(1, Number(concurrency) || DEFAULT_CONCURRENCY), MAX_CONCURRENCY);
+  const outcomes = new Array(items.length);
+
+  await mapWithConcurrency(items, limit, async (item) => {
+    const { index, ref } = item;
+    if (item.errors.length) {
+      outcomes[index] = { index, ref, ok: false, error: 'Invalid request', errors: item.errors };
+      return;
+    }
+    // Exclusive mode needs alternates in case the best nurses go to other
+    // requests, and they have to make the shortlist to be ranked at all
+    const alternates = items.length - 1;
+    const query = exclusive
+      ? {
+        ...item.query,
+        topK: Math.min(50, (Number(item.query.topK) || 5) + alternates),
+        shortlistSize: Math.min(MAX_SHORTLIST_SIZE, (Number(item.query.shortlistSize) || DEFAULT_SHORTLIST_SIZE) + alternates)
+      }
+      : item.query;
+    try {
+      const { results, ...meta } = await runMatch(query, roster.nurses, { index: roster.index, client, abortSignal });
+      outcomes[index] = { index, ref, ok: true, count: results.length, results, ...meta };
+    } catch (e) {
+      if (e.status === 400) log.warn('Batch query rejected', { query: ref ?? index, status: 400, error: e.message });
+      else log.error('Batch query failed', { query: ref ?? index, err: e });
+      outcomes[index] = e.status === 400
+        ? { index, ref, ok: false, error: 'Invalid request', errors: [{ field: e.field || '(query)', message: e.message }] }
+        : { index, ref, ok: false, error: 'Match error', detail: e?.message || String(e) };
+    }
+  });
+
+  if (exclusive) assignExclusive(items, outcomes);
+  return outcomes;
+}
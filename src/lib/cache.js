@@ -0,0 +1,105 @@
+import { createHash } from 'crypto';
+
+// Cache for LLM ranking results. Identical requests against an unchanged
+// shortlist get the stored answer instead of another paid, multi-second call.
+//
+// A store is any object with these async methods, so Redis or similar can be
+// plugged in with setLlmCacheStore():
+//   get(key)              -> value | undefined
+//   set(key, value, ttlMs)
+//   delete(key)
+//   clear()
+//   stats()               -> plain object (optional)
+
+export const LLM_CACHE_TTL_MS = Number(process.env.LLM_CACHE_TTL_MS ?? 10 * 60_000);
+const MAX_ENTRIES = Number(process.env.LLM_CACHE_MAX_ENTRIES) || 500;
+
+/**
+ * In-process store with per-entry expiry; evicts the least recently used
+ * entry beyond `maxEntries`.
+ */
+export function memoryStore({ maxEntries = MAX_ENTRIES } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+  const counts = { hits: 0, misses: 0, sets: 0, evictions: 0 };
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) entries.delete(key);
+        counts.misses++;
+        return undefined;
+      }
+      // Re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      counts.hits++;
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      counts.sets++;
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counts.evictions++;
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+    stats() {
+      return { store: 'memory', size: entries.size, maxEntries, ...counts };
+    }
+  };
+}
+
+let store = memoryStore();
+
+export function setLlmCacheStore(next) {
+  store = next;
+}
+
+export function llmCacheStore() {
+  return store;
+}
+
+export function llmCacheStats() {
+  return { enabled: LLM_CACHE_TTL_MS > 0, ttlMs: LLM_CACHE_TTL_MS, ...(store.stats?.() ?? { store: store.name }) };
+}
+
+// JSON with object keys sorted, so key order never changes a hash
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function hashOf(value) {
+  return createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * Cache key for one LLM ranking call: the normalized query, each candidate's
+ * id with a version hash of the data the model sees, the roster version, the
+ * prompt version and the model settings.
+ */
+export function llmCacheKey({ query, candidates, rosterVersion = null, promptVersion, model }) {
+  const normalizedQuery = {
+    ...query,
+    servicesQuery: [...(query.servicesQuery || [])].map(s => s.trim().toLowerCase()).sort(),
+    expertiseQuery: [...(query.expertiseQuery || [])].map(s => s.trim().toLowerCase()).sort(),
+    city: query.city ? query.city.trim().toLowerCase() : null
+  };
+  const candidateVersions = candidates
+    .map(c => [c.id, hashOf(c).slice(0, 16)])
+    .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+  return `llm:${promptVersion}:${hashOf({ query: normalizedQuery, candidates: candidateVersions, rosterVersion, model })}`;
+}
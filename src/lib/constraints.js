@@ -0,0 +1,139 @@
+import { haversineKm } from './geo.js';
+import { asList, norm } from './rules.js';
+
+// Patient requirements on the nurse rather than the visit: gender, spoken
+// language, patient mobility handled, distance and price. `constraints` are hard
+// filters applied in code before the LLM sees the shortlist and again on what
+// it returns; `preferences` take the same fields but only move the ranking
+// (the rules engine's `preferences` criterion).
+//
+// A hard constraint on a field the nurse record does not have (e.g. languages
+// on CSV nurses) excludes the nurse: we cannot show the requirement is met.
+// Such nurses are reported as `<key>_unknown` rather than `<key>`, so a roster
+// missing the data is not mistaken for nurses who do not qualify.
+
+export const CONSTRAINT_KEYS = ['gender', 'languages', 'mobility', 'maxDistanceKm', 'maxHourlyRate'];
+
+export const MOBILITY_LEVELS = ['INDEPENDENT', 'WALKING_CANE', 'WALKER', 'WHEELCHAIR', 'BEDRIDDEN'];
+
+// Expertise tag the CSV import derives from each mobility level
+// (config/csv-mapping.json)
+const MOBILITY_TAGS = {
+  independent: 'mobile patient care',
+  walking_cane: 'assisted mobility care',
+  walker: 'assisted mobility care',
+  wheelchair: 'wheelchair patient care',
+  bedridden: 'bedridden patient care'
+};
+
+const GENDERS = { f: 'female', female: 'female', woman: 'female', m: 'male', male: 'male', man: 'male' };
+
+// Rosters mix ISO codes, English names and native names
+const LANGUAGES = {
+  he: 'he', heb: 'he', hebrew: 'he', 'עברית': 'he',
+  en: 'en', eng: 'en', english: 'en',
+  ru: 'ru', rus: 'ru', russian: 'ru', 'русский': 'ru',
+  ar: 'ar', ara: 'ar', arabic: 'ar', 'عربي': 'ar', 'العربية': 'ar',
+  am: 'am', amh: 'am', amharic: 'am',
+  fr: 'fr', fre: 'fr', french: 'fr', 'français': 'fr',
+  es: 'es', spa: 'es', spanish: 'es', 'español': 'es',
+  ro: 'ro', romanian: 'ro',
+  tl: 'tl', tagalog: 'tl', filipino: 'tl'
+};
+
+function languageCode(s) {
+  const key = norm(s);
+  return LANGUAGES[key] || key;
+}
+
+function genderOf(s) {
+  return GENDERS[norm(s)] || null;
+}
+
+function handlesMobility(nurse, level) {
+  const wanted = norm(level);
+  return asList(nurse.mobility).includes(wanted) ||
+    asList(nurse.expertiseTags).includes(MOBILITY_TAGS[wanted]);
+}
+
+/**
+ * Whether `nurse` meets one constraint: true, false, or null when the nurse
+ * record lacks the data to tell.
+ */
+export function meetsConstraint(key, value, nurse, origin) {
+  switch (key) {
+    case 'gender': {
+      const gender = genderOf(nurse.gender);
+      return gender == null ? null : gender === genderOf(value);
+    }
+    case 'languages': {
+      const spoken = asList(nurse.languages).map(languageCode);
+      if (!spoken.length) return null;
+      return asList(value).map(languageCode).some(l => spoken.includes(l));
+    }
+    case 'mobility':
+      if (handlesMobility(nurse, value)) return true;
+      return nurse.mobility == null && !asList(nurse.expertiseTags).some(t => Object.values(MOBILITY_TAGS).includes(t))
+        ? null
+        : false;
+    case 'maxDistanceKm': {
+      const d = origin ? haversineKm(origin, nurse) : null;
+      return d == null ? null : d <= Number(value);
+    }
+    case 'maxHourlyRate': {
+      const rate = Number(nurse.hourlyRate);
+      return nurse.hourlyRate == null || !Number.isFinite(rate) ? null : rate <= Number(value);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Constraints the nurse fails: the key when the nurse does not meet it,
+ * `<key>_unknown` when the record lacks the data (also a failure).
+ */
+export function constraintViolations(nurse, constraints, origin) {
+  if (!constraints) return [];
+  return CONSTRAINT_KEYS.filter(key => constraints[key] != null).flatMap(key => {
+    const met = meetsConstraint(key, constraints[key], nurse, origin);
+    if (met === true) return [];
+    return [met === false ? key : `${key}_unknown`];
+  });
+}
+
+/**
+ * Drop nurses failing any hard constraint. Returns { pool, excluded } where
+ * excluded counts, per constraint, the nurses that do not meet it (`<key>`)
+ * and those lacking the data (`<key>_unknown`); a nurse failing two
+ * constraints is counted under both. `total` is the number removed.
+ */
+export function applyConstraints(nurses, constraints, origin) {
+  const excluded = { total: 0 };
+  for (const key of CONSTRAINT_KEYS) {
+    if (constraints?.[key] != null) Object.assign(excluded, { [key]: 0, [`${key}_unknown`]: 0 });
+  }
+  if (!constraints) return { pool: nurses, excluded };
+
+  const pool = nurses.filter(nurse => {
+    const failed = constraintViolations(nurse, constraints, origin);
+    failed.forEach(key => excluded[key]++);
+    if (failed.length) excluded.total++;
+    return !failed.length;
+  });
+  return { pool, excluded };
+}
+
+/**
+ * Share (0..1) of the soft preferences the nurse meets; unknown data counts
+ * half. Null when no preferences are given.
+ */
+export function preferenceScore(nurse, preferences, origin) {
+  const keys = CONSTRAINT_KEYS.filter(key => preferences?.[key] != null);
+  if (!keys.length) return null;
+  const met = keys.reduce((sum, key) => {
+    const ok = meetsConstraint(key, preferences[key], nurse, origin);
+    return sum + (ok == null ? 0.5 : Number(ok));
+  }, 0);
+  return met / keys.length;
+}
@@ -0,0 +1,179 @@
+import { performance } from 'perf_hooks';
+import { constraintViolations } from './constraints.js';
+import { haversineKm } from './geo.js';
+import { runMatch } from './match.js';
+
+// Offline evaluation of the match pipeline against labeled scenarios
+// (eval/scenarios.json, run with `npm run eval`). A scenario is a /match
+// query plus the nurses a reviewer would put first:
+//
+//   { id, description, query, expected: [ids, best first], acceptable: [ids] }
+//
+// `expected` nurses have gain 2 and `acceptable` ones gain 1 for NDCG; both
+// count as relevant for precision@k.
+
+const EXPECTED_GAIN = 2;
+const ACCEPTABLE_GAIN = 1;
+
+function gainsOf(scenario) {
+  const gains = new Map();
+  for (const id of scenario.acceptable || []) gains.set(id, ACCEPTABLE_GAIN);
+  for (const id of scenario.expected || []) gains.set(id, EXPECTED_GAIN);
+  return gains;
+}
+
+/**
+ * Share of the top k ids that are relevant. The denominator is capped at the
+ * number of relevant nurses, so a perfect ranking scores 1 even when fewer
+ * than k exist.
+ */
+export function precisionAtK(ids, relevant, k) {
+  const denominator = Math.min(k, relevant.size);
+  if (!denominator) return null;
+  return ids.slice(0, k).filter(id => relevant.has(id)).length / denominator;
+}
+
+function dcg(gains) {
+  return gains.reduce((sum, gain, i) => sum + (2 ** gain - 1) / Math.log2(i + 2), 0);
+}
+
+/**
+ * Normalized discounted cumulative gain of the top k ids, with graded gains
+ * (Map id -> gain) and the ideal ordering as the normalizer.
+ */
+export function ndcgAtK(ids, gains, k) {
+  const ideal = dcg([...gains.values()].sort((a, b) => b - a).slice(0, k));
+  if (!ideal) return null;
+  return dcg(ids.slice(0, k).map(id => gains.get(id) || 0)) / ideal;
+}
+
+// Returned nurses that break the query's hard limits: constraints, radiusKm,
+// or not on the roster at all
+function violationsOf(results, query, origin, byId) {
+  return results.flatMap(r => {
+    const nurse = byId.get(r.id);
+    if (!nurse) return [{ id: r.id, failed: ['unknown id'] }];
+    const failed = constraintViolations(nurse, query.constraints, origin);
+    if (query.radiusKm != null) {
+      const d = haversineKm(origin, nurse);
+      if (d == null || d > query.radiusKm) failed.push('radiusKm');
+    }
+    return failed.length ? [{ id: r.id, failed }] : [];
+  });
+}
+
+function round(value, digits = 4) {
+  return value == null ? null : Number(value.toFixed(digits));
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+// Explicit prices (--input-price/--output-price) override the price table
+// estimate in usage.costUsd
+function costOf(usage, pricing) {
+  if (!pricing) return usage?.costUsd ?? null;
+  if (usage?.promptTokens == null) return null;
+  return (usage.promptTokens * pricing.inputPerMillion + usage.completionTokens * pricing.outputPerMillion) / 1e6;
+}
+
+/**
+ * Run one scenario through runMatch and score it. `overrides` (mode,
+ * promptVersion, cache) replace the scenario's own query fields; the cache is
+ * bypassed unless overridden so latency and tokens reflect live calls.
+ */
+export async function evaluateScenario(scenario, roster, { k = 5, overrides = {}, pricing } = {}) {
+  const query = { topK: k, cache: 'bypass', ...scenario.query, ...overrides };
+  const gains = gainsOf(scenario);
+  const outcome = { id: scenario.id, description: scenario.description ?? null };
+
+  const started = performance.now();
+  let response;
+  try {
+    response = await runMatch(query, roster.nurses, { index: roster.index });
+  } catch (e) {
+    return { ...outcome, latencyMs: Math.round(performance.now() - started), error: e?.message || String(e) };
+  }
+  const latencyMs = Math.round(performance.now() - started);
+
+  const ids = response.results.map(r => r.id);
+  const origin = query.lat != null ? { lat: query.lat, lng: query.lng } : response.location;
+  const violations = violationsOf(response.results, query, origin, roster.index.byId);
+  return {
+    ...outcome,
+    engine: response.engine,
+    fallback: response.fallback?.reason ?? null,
+    promptVersion: response.promptVersion ?? null,
+    latencyMs,
+    returned: ids.length,
+    precisionAtK: round(precisionAtK(ids, new Set(gains.keys()), k)),
+    ndcgAtK: round(ndcgAtK(ids, gains, k)),
+    violations,
+    removedAfterRanking: response.constraints?.removedAfterRanking ?? 0,
+    validationErrors: response.validation?.errors?.length ?? 0,
+    usage: response.usage ?? null,
+    costUsd: round(costOf(response.usage, pricing), 6),
+    results: response.results.map(r => ({
+      id: r.id,
+      name: r.name,
+      score: r.score,
+      label: gains.get(r.id) === EXPECTED_GAIN ? 'expected' : gains.has(r.id) ? 'acceptable' : null
+    }))
+  };
+}
+
+/**
+ * Aggregate scenario outcomes. Precision and NDCG average over scenarios
+ * (errors count as 0); the violation rate is over all returned results.
+ */
+export function summarize(outcomes) {
+  const scored = outcomes.filter(o => !o.error);
+  const mean = (values) => {
+    const known = values.filter(v => v != null);
+    return known.length ? round(known.reduce((a, b) => a + b, 0) / known.length) : null;
+  };
+  const scoreOf = (o, key) => (o.error ? 0 : o[key]);
+  const returned = scored.reduce((sum, o) => sum + o.returned, 0);
+  const violating = scored.reduce((sum, o) => sum + o.violations.length, 0);
+  const latencies = outcomes.map(o => o.latencyMs).sort((a, b) => a - b);
+
+  const tokens = { promptTokens: 0, completionTokens: 0, totalTokens: 0, calls: 0, unreported: 0 };
+  for (const o of scored) {
+    if (!o.usage) continue;
+    tokens.calls += o.usage.calls;
+    if (o.usage.calls && o.usage.totalTokens == null) tokens.unreported += o.usage.calls;
+    for (const key of ['promptTokens', 'completionTokens', 'totalTokens']) tokens[key] += o.usage[key] ?? 0;
+  }
+  const costs = scored.map(o => o.costUsd).filter(c => c != null);
+
+  return {
+    scenarios: outcomes.length,
+    errors: outcomes.length - scored.length,
+    fallbacks: scored.filter(o => o.fallback).length,
+    precisionAtK: mean(outcomes.map(o => scoreOf(o, 'precisionAtK'))),
+    ndcgAtK: mean(outcomes.map(o => scoreOf(o, 'ndcgAtK'))),
+    violationRate: returned ? round(violating / returned) : 0,
+    removedAfterRanking: scored.reduce((sum, o) => sum + o.removedAfterRanking, 0),
+    latencyMs: {
+      mean: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      p50: percentile(latencies, 0.5),
+      p95: percentile(latencies, 0.95)
+    },
+    tokens,
+    costUsd: costs.length ? round(costs.reduce((a, b) => a + b, 0), 6) : null
+  };
+}
+
+/**
+ * Evaluate every scenario in order (one at a time, so latencies are not
+ * skewed by each other).
+ */
+export async function runEvaluation(scenarios, roster, options = {}) {
+  const outcomes = [];
+  for (const scenario of scenarios) {
+    outcomes.push(await evaluateScenario(scenario, roster, options));
+  }
+  return { summary: summarize(outcomes), scenarios: outcomes };
+}
@@ -0,0 +1,111 @@
+import { promises as fs } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Offline geography: great-circle distance and a gazetteer of Israeli
+// localities that maps the many spellings found in roster data (English
+// variants, transliterations, Hebrew) to one canonical locality with a
+// centroid. Nothing here calls an external geocoder.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const GAZETTEER_FILE = process.env.GAZETTEER_FILE ||
+  join(__dirname, '..', '..', 'sample_data', 'il_localities.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRad(deg) { return deg * Math.PI / 180; }
+
+/**
+ * Great-circle distance in kilometres between two { lat, lng } points.
+ * Returns null when either point is missing coordinates.
+ */
+export function haversineKm(a, b) {
+  if (!a || !b) return null;
+  if (a.lat == null || a.lng == null || b.lat == null || b.lng == null) return null;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Lookup key for a place name. Folds case, accents, niqqud, punctuation and
+ * the usual transliteration variants (q/k, tz/ts/z, ch/kh/h, th/t, w/v,
+ * doubled letters, kefar/kfar), so "Petach Tikva" and "Petah Tikva", or
+ * "Rishon LeTsiyon" and "Rishon LeZion", share a key. Spellings no rule can
+ * reach ("Hefa" for Haifa) are listed as aliases in the gazetteer instead.
+ */
+export function placeKey(name) {
+  return String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f\u0591-\u05bd\u05bf-\u05c7]/g, '') // accents, niqqud
+    .toLowerCase()
+    .replace(/['’`׳״"]/g, '')
+    .replace(/[-–—\u05be_.,()]/g, ' ')
+    .replace(/\bkefar\b/g, 'kfar')
+    .replace(/q/g, 'k')
+    .replace(/ph/g, 'f')
+    .replace(/t[sz]/g, 'z')
+    .replace(/[kc]h/g, 'h')
+    .replace(/th/g, 't')
+    .replace(/c/g, 'k')
+    .replace(/w/g, 'v')
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/iy/g, 'i')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a resolver over gazetteer entries
+ * ([{ name, he?, lat, lng, aliases? }]).
+ *
+ * resolve(name) returns { name, he, lat, lng } for the canonical locality,
+ * or null when the name is unknown.
+ */
+export function buildGazetteer(entries) {
+  const byKey = new Map();
+  for (const entry of entries) {
+    const locality = { name: entry.name, he: entry.he ?? null, lat: entry.lat, lng: entry.lng };
+    for (const name of [entry.name, entry.he, ...(entry.aliases || [])]) {
+      const key = placeKey(name);
+      if (key && !byKey.has(key)) byKey.set(key, locality);
+    }
+  }
+  return {
+    size: entries.length,
+    resolve(name) {
+      return byKey.get(placeKey(name)) || null;
+    }
+  };
+}
+
+let cached = null; // { mtimeMs, gazetteer }
+
+/**
+ * The gazetteer from GAZETTEER_FILE, re-read when the file changes.
+ */
+export async function loadGazetteer() {
+  const { mtimeMs } = await fs.stat(GAZETTEER_FILE);
+  if (cached?.mtimeMs !== mtimeMs) {
+    const entries = JSON.parse(await fs.readFile(GAZETTEER_FILE, 'utf8'));
+    cached = { mtimeMs, gazetteer: buildGazetteer(entries) };
+  }
+  return cached.gazetteer;
+}
+
+/**
+ * Cities on the roster that have no coordinates because the gazetteer does
+ * not know them: [{ city, nurses }], most frequent first.
+ */
+export function unresolvedCities(nurses) {
+  const counts = new Map();
+  for (const n of nurses) {
+    if (!n.city || (n.lat != null && n.lng != null)) continue;
+    counts.set(n.city, (counts.get(n.city) || 0) + 1);
+  }
+  return [...counts].map(([city, count]) => ({ city, nurses: count }))
+    .sort((a, b) => b.nurses - a.nurses || a.city.localeCompare(b.city));
+}
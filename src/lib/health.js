@@ -0,0 +1,178 @@
+import { dbHealth, initDb } from '../db.js';
+import { isShuttingDown } from './lifecycle.js';
+import { probeProvider } from './llm.js';
+import { log } from './log.js';
+import { matchMode } from './match.js';
+import { getProvider } from './providers.js';
+import { getRoster, invalidateRoster, rosterStats } from './roster.js';
+
+// Readiness for GET /health/ready: whether this instance should get traffic.
+// Each check reports { status: pass | warn | fail, message, ... }; the
+// instance is ready when none fails. Liveness (GET /health/live) needs none
+// of this: a process that answers is alive. The route is open, so it only
+// gets readinessSummary(); the messages are for /health/ready/details
+// (health scope). Results are reused for READINESS_CACHE_MS, so probes cannot
+// make the checks run any more often than that.
+//
+//   database  USE_DB=true and not connected fails (matches would be served
+//             from the JSON fallback); the connection is retried at most every
+//             READINESS_DB_RETRY_MS
+//   roster    no nurses loaded fails; the load is retried at most every
+//             READINESS_ROSTER_RETRY_MS
+//   llm       an unconfigured provider warns (matches fall back to rules);
+//             with READINESS_LLM_PROBE=true one small call is made every
+//             READINESS_PROBE_TTL_MS and a failed call fails
+//   shutdown  fails once graceful shutdown has begun (see lifecycle.js)
+
+const TIMEOUT_MS = Number(process.env.READINESS_TIMEOUT_MS) || 3_000;
+const DB_RETRY_MS = Number(process.env.READINESS_DB_RETRY_MS) || 15_000;
+const ROSTER_RETRY_MS = Number(process.env.READINESS_ROSTER_RETRY_MS) || 15_000;
+const CACHE_MS = Number(process.env.READINESS_CACHE_MS ?? 1_000);
+const PROBE_ENABLED = process.env.READINESS_LLM_PROBE === 'true';
+const PROBE_TTL_MS = Number(process.env.READINESS_PROBE_TTL_MS) || 60_000;
+const PROBE_TIMEOUT_MS = Number(process.env.READINESS_PROBE_TIMEOUT_MS) || 5_000;
+
+let lastDbRetry = 0;
+let lastRosterLoad = 0;
+let lastRoster = null; // { count, loadedAt } of the last getRoster() here
+let lastChecks = null; // { at, checks }
+let checking = null;   // in-flight run shared by concurrent callers
+let lastProbe = null; // { at, result }
+let probing = null;   // in-flight probe shared by concurrent checks
+
+// Rejects when `promise` takes longer than TIMEOUT_MS
+function withTimeout(promise, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} did not answer within ${TIMEOUT_MS}ms`)), TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+  let { database } = await withTimeout(dbHealth(), 'Database');
+  if (!database.enabled) return { status: 'pass', message: database.message };
+
+  // initDb() failed at startup: try again now and then, and drop the roster
+  // loaded from the fallback once connected. (A pool that lost its connection
+  // reconnects by itself.)
+  if (!database.initialized && Date.now() - lastDbRetry >= DB_RETRY_MS) {
+    lastDbRetry = Date.now();
+    try {
+      await withTimeout(initDb(), 'Database');
+      log.info('Database connected after readiness retry');
+      invalidateRoster('database reconnected');
+      ({ database } = await withTimeout(dbHealth(), 'Database'));
+    } catch {
+      // initDb() logged why
+    }
+  }
+  return {
+    status: database.connected ? 'pass' : 'fail',
+    kind: database.kind,
+    message: database.message
+  };
+}
+
+async function checkRoster() {
+  // Count what getRoster() returns: with ROSTER_CACHE_TTL_MS=0 the cache
+  // stays empty. A call that has to load (empty cache, or no cache) is made
+  // at most every READINESS_ROSTER_RETRY_MS; the last count stands meanwhile.
+  const cached = rosterStats().size > 0;
+  if (cached || Date.now() - lastRosterLoad >= ROSTER_RETRY_MS) {
+    if (!cached) lastRosterLoad = Date.now();
+    const roster = await withTimeout(getRoster(), 'Roster load');
+    lastRoster = { count: roster.nurses.length, loadedAt: roster.loadedAt };
+  }
+  const count = lastRoster?.count ?? 0;
+  return {
+    status: count ? 'pass' : 'fail',
+    count,
+    loadedAt: lastRoster?.loadedAt ? new Date(lastRoster.loadedAt).toISOString() : rosterStats().loadedAt,
+    message: count ? `${count} nurses loaded` : 'Roster is empty'
+  };
+}
+
+async function probe() {
+  if (lastProbe && Date.now() - lastProbe.at < PROBE_TTL_MS) return lastProbe.result;
+  if (!probing) {
+    probing = probeProvider({ timeoutMs: PROBE_TIMEOUT_MS })
+      .then(result => {
+        lastProbe = { at: Date.now(), result };
+        return result;
+      })
+      .finally(() => { probing = null; });
+  }
+  return probing;
+}
+
+async function checkLlm() {
+  const provider = getProvider();
+  if (matchMode({}) === 'rules') {
+    return { status: 'pass', provider: provider.name, message: 'Not used (MATCH_MODE=rules)' };
+  }
+  if (!provider.isConfigured()) {
+    return { status: 'warn', provider: provider.name, message: 'Not configured, matches use the rules engine' };
+  }
+  if (!PROBE_ENABLED) {
+    return { status: 'pass', provider: provider.name, message: provider.describe() };
+  }
+  const result = await probe();
+  return {
+    status: result.ok ? 'pass' : 'fail',
+    provider: provider.name,
+    message: result.ok ? provider.describe() : `Probe failed: ${result.error}`,
+    probe: { ok: result.ok, status: result.status, latencyMs: result.latencyMs, at: new Date(lastProbe.at).toISOString() }
+  };
+}
+
+const CHECKS = { database: checkDatabase, roster: checkRoster, llm: checkLlm };
+
+async function runChecks() {
+  const names = Object.keys(CHECKS);
+  const outcomes = await Promise.allSettled(names.map(name => CHECKS[name]()));
+  return Object.fromEntries(names.map((name, i) => [
+    name,
+    outcomes[i].status === 'fulfilled' ? outcomes[i].value : { status: 'fail', message: outcomes[i].reason.message }
+  ]));
+}
+
+/**
+ * Run every readiness check (or reuse a run younger than READINESS_CACHE_MS);
+ * { ready, checks: { name: { status, message, ... } } }. The shutdown check
+ * is always current.
+ */
+export async function readiness() {
+  if (!lastChecks || Date.now() - lastChecks.at >= CACHE_MS) {
+    if (!checking) {
+      checking = runChecks()
+        .then(checks => { lastChecks = { at: Date.now(), checks }; })
+        .finally(() => { checking = null; });
+    }
+    await checking;
+  }
+  const checks = {
+    ...lastChecks.checks,
+    shutdown: isShuttingDown()
+      ? { status: 'fail', message: 'Shutting down' }
+      : { status: 'pass', message: 'Accepting requests' }
+  };
+  const ready = Object.values(checks).every(check => check.status !== 'fail');
+  if (!ready) {
+    const failing = Object.keys(checks).filter(name => checks[name].status === 'fail');
+    log.debug('Not ready', { failing });
+  }
+  return { ready, checks };
+}
+
+/**
+ * What anonymous probes see: { status: ready | not_ready, checks: { name:
+ * pass | fail } }, without messages (they can hold database errors, hosts
+ * and roster sizes). A warning passes.
+ */
+export function readinessSummary({ ready, checks }) {
+  return {
+    status: ready ? 'ready' : 'not_ready',
+    checks: Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check.status === 'fail' ? 'fail' : 'pass']))
+  };
+}
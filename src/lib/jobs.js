@@ -0,0 +1,275 @@
+import { createHmac, randomUUID } from 'crypto';
+import { lookup as dnsLookup } from 'dns/promises';
+import { BlockList } from 'net';
+import { postWithRetry } from '../clients/http.js';
+import { refundLlmCalls } from './auth.js';
+import { log, logContext, withLogContext } from './log.js';
+import { runMatch } from './match.js';
+import { getRoster } from './roster.js';
+
+// Asynchronous match jobs. POST /match/jobs queues a query and returns at once;
+// workers run it in the background and the result is polled or pushed to a
+// signed webhook. Jobs live in this process only and are forgotten JOB_TTL_MS
+// after they finish.
+
+const CONCURRENCY = Number(process.env.JOBS_CONCURRENCY) || 2;
+const MAX_QUEUE = Number(process.env.JOBS_MAX_QUEUE) || 100;
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 60 * 60_000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+// Webhook deliveries: per-attempt timeout and attempts (initial + retries)
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10_000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 3;
+// Hosts a webhook may reach even though they resolve to a private address
+const ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+
+// Loopback, private, link-local, shared, multicast and reserved ranges, and
+// IPv4-mapped IPv6 (which would otherwise reach any of the IPv4 ones)
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED = new Set(['succeeded', 'failed', 'cancelled']);
+
+const jobs = new Map();   // id -> job
+const queue = [];         // ids waiting for a worker
+let running = 0;
+let draining = false;     // set by drainJobs(): nothing new starts
+const idleWaiters = [];   // drainJobs() promises waiting for running == 0
+const deliveries = new Set(); // webhook deliveries in flight, awaited by drainJobs()
+
+const SHUTDOWN_ERROR = 'Server shut down before the job finished';
+
+function queueFull() {
+  const err = new Error(`Job queue is full (${MAX_QUEUE} waiting)`);
+  err.status = 503;
+  return err;
+}
+
+/**
+ * Public view of a job (no controller or internal fields).
+ */
+export function jobView(job) {
+  const view = {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    durationMs: job.startedAt && job.finishedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : null
+  };
+  if (job.status === 'queued') view.queuePosition = queue.indexOf(job.id) + 1;
+  if (job.result) view.result = job.result;
+  if (job.error) view.error = job.error;
+  if (job.callback) view.callback = { ...job.callback };
+  return view;
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", hex encoded. Receivers recompute it
+ * with the shared WEBHOOK_SECRET and reject stale timestamps.
+ */
+export function signWebhook(body, timestamp, secret = WEBHOOK_SECRET) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Resolve a webhook host, rejecting when any of its addresses is not public
+ * (unless the host is in WEBHOOK_ALLOWED_HOSTS). Also the DNS lookup of
+ * every delivery, so a name cannot pass at submit time and later resolve to
+ * an internal address.
+ */
+async function webhookLookup(hostname) {
+  let addresses;
+  try {
+    addresses = await dnsLookup(hostname, { all: true });
+  } catch (e) {
+    throw new Error(`${hostname} does not resolve (${e.code || e.message})`);
+  }
+  if (!ALLOWED_HOSTS.has(hostname.toLowerCase())) {
+    const blocked = addresses.find(({ address, family }) =>
+      BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) throw new Error(`${hostname} resolves to a non-public address (${blocked.address})`);
+  }
+  return addresses;
+}
+
+/**
+ * Why jobs cannot call back to `url` (a message for the 400), or null.
+ * Deliveries are always signed, so a callbackUrl needs WEBHOOK_SECRET, and
+ * only public addresses are called (see webhookLookup).
+ */
+export async function callbackUrlProblem(url) {
+  if (!WEBHOOK_SECRET) return 'webhooks are disabled on this server (WEBHOOK_SECRET is not set)';
+  // IP literals are checked here only: connections to them skip the lookup
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  try {
+    await webhookLookup(hostname);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+}
+
+async function deliverWebhook(job) {
+  const body = JSON.stringify(jobView(job));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'X-Job-Id': job.id,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${signWebhook(body, timestamp)}`
+  };
+
+  // No redirects: the target could point anywhere
+  const res = await postWithRetry({
+    uri: job.callback.url,
+    body,
+    headers,
+    label: 'Webhook',
+    timeoutMs: WEBHOOK_TIMEOUT_MS,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    lookup: webhookLookup,
+    maxRedirects: 0
+  });
+  job.callback.deliveredAt = new Date().toISOString();
+  job.callback.status = res.ok ? 'delivered' : 'failed';
+  job.callback.httpStatus = res.status || null;
+  if (!res.ok) {
+    job.callback.error = res.error;
+    log.error('Webhook delivery failed', { jobId: job.id, status: res.status, error: res.error });
+  }
+}
+
+function finish(job, status, fields = {}) {
+  Object.assign(job, { status, finishedAt: new Date().toISOString(), ...fields });
+  job.controller = null;
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  if (job.callback) {
+    const delivery = deliverWebhook(job)
+      .catch(e => log.error('Webhook delivery failed', { jobId: job.id, err: e }))
+      .finally(() => deliveries.delete(delivery));
+    deliveries.add(delivery);
+  }
+}
+
+async function run(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.controller = new AbortController();
+  try {
+    const roster = await getRoster();
+    const { results, ...meta } = await runMatch(job.query, roster.nurses, {
+      index: roster.index,
+      abortSignal: job.controller.signal,
+      client: job.client
+    });
+    if (job.status === 'cancelled') return;
+    finish(job, 'succeeded', { result: { count: results.length, results, ...meta } });
+  } catch (e) {
+    if (job.status === 'cancelled') return;
+    // Rejected before reaching the LLM: the submitter gets its quota back
+    if (e.status === 400) refundLlmCalls(job.client, job.llmCalls);
+    log.error('Job failed', { err: e });
+    finish(job, 'failed', { error: draining && job.controller?.signal.aborted ? SHUTDOWN_ERROR : e?.message || String(e) });
+  }
+}
+
+function pump() {
+  while (!draining && running < CONCURRENCY && queue.length) {
+    const job = jobs.get(queue.shift());
+    if (!job || job.status !== 'queued') continue;
+    running++;
+    // Log lines carry the submitting request's id, not the previous job's
+    withLogContext({ requestId: job.requestId, jobId: job.id }, () => run(job)).finally(() => {
+      running--;
+      if (!running) idleWaiters.splice(0).forEach(resolve => resolve());
+      pump();
+    });
+  }
+}
+
+/**
+ * Queue a validated match query. Rejects with err.status = 503 when
+ * JOBS_MAX_QUEUE jobs are already waiting. `llmCalls` charged to `client` at
+ * submission are refunded if the query turns out invalid when it runs.
+ */
+export function submitJob(query, { callbackUrl, client, llmCalls = 0 } = {}) {
+  if (queue.length >= MAX_QUEUE) throw queueFull();
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    query,
+    client,
+    llmCalls,
+    requestId: logContext().requestId,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    callback: callbackUrl ? { url: callbackUrl, status: 'pending' } : null
+  };
+  jobs.set(job.id, job);
+  queue.push(job.id);
+  pump();
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Cancel a queued or running job; a running LLM call is aborted. Finished
+ * jobs are returned unchanged. Returns null for unknown ids.
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (FINISHED.has(job.status)) return job;
+  if (job.status === 'queued') queue.splice(queue.indexOf(id), 1);
+  job.controller?.abort();
+  finish(job, 'cancelled');
+  return job;
+}
+
+// Resolves once no webhook delivery is in flight, including ones started
+// while waiting
+async function deliveriesDone() {
+  while (deliveries.size) await Promise.allSettled([...deliveries]);
+}
+
+/**
+ * For graceful shutdown: start no more jobs, fail the queued ones (their
+ * webhooks still fire) and resolve once the running ones have finished and
+ * every webhook has been delivered or has failed.
+ */
+export function drainJobs() {
+  draining = true;
+  for (const id of queue.splice(0)) {
+    const job = jobs.get(id);
+    if (job?.status === 'queued') finish(job, 'failed', { error: SHUTDOWN_ERROR });
+  }
+  const jobsDone = running ? new Promise(resolve => idleWaiters.push(resolve)) : Promise.resolve();
+  return jobsDone.then(deliveriesDone);
+}
+
+/**
+ * Abort the LLM calls of running jobs (shutdown deadline passed). They end
+ * as failed.
+ */
+export function abortJobs() {
+  for (const job of jobs.values()) {
+    if (job.status === 'running') job.controller?.abort();
+  }
+}
+
+export function jobStats() {
+  const byStatus = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+  for (const job of jobs.values()) byStatus[job.status]++;
+  return { concurrency: CONCURRENCY, maxQueue: MAX_QUEUE, queued: queue.length, running, byStatus };
+}
@@ -0,0 +1,99 @@
+import { closeDb } from '../db.js';
+import { abortJobs, drainJobs } from './jobs.js';
+import { log } from './log.js';
+
+// Graceful shutdown. On SIGTERM or SIGINT the server stops accepting
+// connections, /health/ready answers 503, and requests that still arrive on
+// open connections are refused with 503. In-flight requests, running jobs and
+// their webhook deliveries get SHUTDOWN_TIMEOUT_MS to finish; after that LLM
+// calls are aborted through shutdownSignal (handlers answer 503) and
+// deliveries get ABORT_GRACE_MS more. Then the database pools are closed and
+// the process exits. A second signal exits at once.
+
+const TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS ?? 20_000);
+// Time for handlers to answer (and webhooks to go out) once LLM calls are aborted
+const ABORT_GRACE_MS = 2_000;
+
+const controller = new AbortController();
+
+/**
+ * Aborted when the shutdown deadline passes. Pass it (or combine it with
+ * AbortSignal.any) as runMatch's abortSignal.
+ */
+export const shutdownSignal = controller.signal;
+
+let shuttingDown = false;
+let inFlight = 0;
+const idleWaiters = []; // resolved when inFlight drops to 0
+
+export function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Express middleware counting in-flight requests and, once shutdown has
+ * begun, refusing new ones with 503 and `Connection: close`. /health* stays
+ * answered so probes see the instance go unready.
+ */
+export function trackRequests() {
+  return (req, res, next) => {
+    if (shuttingDown && !req.path.startsWith('/health')) {
+      res.set('Connection', 'close');
+      return res.status(503).json({ error: 'Service unavailable', detail: 'Server is shutting down' });
+    }
+    inFlight++;
+    res.on('close', () => {
+      inFlight--;
+      if (!inFlight) idleWaiters.splice(0).forEach(resolve => resolve());
+    });
+    next();
+  };
+}
+
+function requestsDone() {
+  return inFlight ? new Promise(resolve => idleWaiters.push(resolve)) : Promise.resolve();
+}
+
+// Whether `promise` settled within `ms`
+function settlesWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(resolve, ms, false); });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+async function shutdown(server, signal) {
+  if (shuttingDown) {
+    log.warn('Second signal, exiting without draining', { signal, inFlight });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log.info('Shutting down', { signal, inFlight, timeoutMs: TIMEOUT_MS });
+
+  server.close();
+  server.closeIdleConnections();
+  const drained = Promise.all([requestsDone(), drainJobs()]);
+  if (!await settlesWithin(drained, TIMEOUT_MS)) {
+    log.warn('Shutdown deadline passed, aborting LLM calls', { inFlight });
+    controller.abort();
+    abortJobs();
+    await settlesWithin(drained, ABORT_GRACE_MS);
+  }
+  server.closeAllConnections();
+
+  try {
+    await closeDb();
+  } catch (e) {
+    log.error('Closing the database failed', { err: e });
+  }
+  log.info('Shutdown complete');
+  process.exit(0);
+}
+
+/**
+ * Shut `server` down gracefully on SIGTERM and SIGINT.
+ */
+export function handleShutdownSignals(server) {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => shutdown(server, signal));
+  }
+}
@@ -1,132 +1,294 @@
-import { azureRespond } from "../clients/azure.js";
-
-const {
-  AZURE_OPENAI_URI,
-  AZURE_OPENAI_KEY,
-  AZURE_OPENAI_RESOURCE_HOST,
-  AZURE_OPENAI_DEPLOYMENT,
-  AZURE_OPENAI_API_VERSION
-} = process.env;
-
-function isLiveAzureEnabled() {
-  // Live if we have either a full URI+KEY, or host+deployment+version+key
-  const hasFull = AZURE_OPENAI_URI && AZURE_OPENAI_KEY;
-  const hasParts = AZURE_OPENAI_RESOURCE_HOST && AZURE_OPENAI_DEPLOYMENT && AZURE_OPENAI_API_VERSION && AZURE_OPENAI_KEY;
-  return Boolean(hasFull || hasParts);
-}
+import { performance } from "perf_hooks";
+import { getProvider } from "./providers.js";
+import { MATCH_OUTPUT_SCHEMA, completedResultItems, extractJson, validateMatchOutput } from "./validate.js";
+import { nurseCoverage } from "./availability.js";
+import { LLM_CACHE_TTL_MS, hashOf, llmCacheKey, llmCacheStore } from "./cache.js";
+import { loadPromptTemplate, promptParams, promptRef, renderPrompt } from "./prompts.js";
+import { allowedFields, coarsen, pseudonymize, redactForLog, remapResults } from "./privacy.js";
+import { callUsage, loadPriceTable, sumUsage } from "./usage.js";
+import { log } from "./log.js";
+import { counter, histogram } from "./metrics.js";
+import { rosterVersion } from "./roster.js";
 
-function resolvedAzureUri() {
-  if (AZURE_OPENAI_URI) return AZURE_OPENAI_URI;
-  if (AZURE_OPENAI_RESOURCE_HOST && AZURE_OPENAI_DEPLOYMENT && AZURE_OPENAI_API_VERSION) {
-    return `${AZURE_OPENAI_RESOURCE_HOST}/openai/deployments/${AZURE_OPENAI_DEPLOYMENT}/chat/completions?api-version=${AZURE_OPENAI_API_VERSION}`;
-  }
-  return null;
-}
+// Structured output (response_format / json_schema) where the provider supports it
+const STRUCTURED_OUTPUT = process.env.LLM_STRUCTURED_OUTPUT !== 'false';
+// Re-prompt once with the validation errors when the output is unusable or sloppy
+const REPAIR_ENABLED = process.env.LLM_REPAIR !== 'false';
 
-// Helper: Mask sensitive data for logging
-function maskSensitive(str) {
+// Truncate model output for logs
+function truncate(str) {
   if (!str) return '';
   if (str.length > 500) return str.substring(0, 500) + '...[truncated]';
   return str;
 }
 
-function buildPrompt(query, candidates){
-  // Keep message compact; send only essential fields
+// Only pseudonyms, allow-listed fields and coarse coordinates go into the
+// prompt (see privacy.js)
+function buildPrompt(query, candidates, bookedIds, pseudonyms){
   const q = {
     city: query.city ?? null,
     servicesQuery: query.servicesQuery ?? (query.service ? [query.service] : []),
     expertiseQuery: query.expertiseQuery ?? [],
     timeWindow: query.start && query.end ? { start: query.start, end: query.end } : null,
-    location: (query.lat!=null && query.lng!=null) ? { lat: query.lat, lng: query.lng } : null,
-    urgent: !!query.urgent
+    location: (query.lat!=null && query.lng!=null) ? { lat: coarsen(query.lat), lng: coarsen(query.lng) } : null,
+    urgent: !!query.urgent,
+    // Hard constraints are already enforced on the candidate list
+    preferences: query.preferences ?? null
   };
-  const c = candidates.map(n => ({
-    id: n.id, name: n.name, city: n.city,
-    rating: n.rating, reviewsCount: n.reviewsCount,
-    services: n.services, expertiseTags: n.expertiseTags,
-    lat: n.lat, lng: n.lng, availability: n.availability
-  }));
+  const hasWindow = Boolean(query.start && query.end);
+  const c = candidates.map(n => {
+    const { availability, ...fields } = allowedFields(n);
+    const coverage = hasWindow ? nurseCoverage(n, query.start, query.end) : null;
+    return {
+      id: pseudonyms.aliasOf(n),
+      ...fields,
+      ...(bookedIds?.has(n.id) ? { alreadyBooked: true } : {}),
+      // Precomputed % of the requested window covered; the weekly schedule only when there is no window
+      ...(hasWindow
+        ? { availabilityCoverage: coverage == null ? null : Math.round(coverage * 100) }
+        : availability !== undefined ? { availability: availability?.weekly ?? availability } : {})
+    };
+  });
   return { q, c };
 }
 
-// Mock response for when Azure credentials are not configured
-function getMockResponse(allNurses, topK = 5) {
-  const mockResults = allNurses.slice(0, topK).map((nurse, idx) => ({
-    id: nurse.id,
-    name: nurse.name,
-    score: (1.0 - idx * 0.15), // Decreasing scores
-    reason: `Mock match: ${nurse.services[0] || 'General care'} expertise, ${nurse.city} location`
-  }));
-  
-  return mockResults;
+const llmCalls = counter('llm_calls_total', 'LLM provider calls by kind (rank, repair), outcome and final HTTP status (0 = no response)', ['provider', 'kind', 'outcome', 'status']);
+const llmCallSeconds = histogram('llm_call_duration_seconds', 'LLM provider call latency, retries included', ['provider', 'outcome']);
+const llmRetries = counter('llm_retries_total', 'HTTP retries of LLM provider calls (429, 5xx, network errors)', ['provider']);
+const llmTokens = counter('llm_tokens_total', 'Tokens reported by the LLM provider', ['provider', 'type']);
+const llmCost = counter('llm_estimated_cost_usd_total', 'Estimated LLM cost from the price table', ['model']);
+const cacheLookups = counter('llm_cache_lookups_total', 'LLM response cache lookups', ['result']);
+
+// provider.respond() with the call's tokens, cost, latency and retries
+// appended to `perCall` (see usage.js) and counted in the llm_* metrics,
+// failed calls included
+async function timedRespond(provider, options, { kind, perCall, prices }) {
+  const started = performance.now();
+  const result = await provider.respond(options);
+  const call = callUsage({ kind, result, latencyMs: performance.now() - started, provider, prices });
+  perCall.push(call);
+
+  const outcome = result.ok ? 'ok' : result.aborted ? 'aborted' : 'error';
+  llmCalls.inc({ provider: provider.name, kind, outcome, status: String(result.status ?? 0) });
+  llmCallSeconds.observe({ provider: provider.name, outcome }, call.latencyMs / 1000);
+  if (call.retries) llmRetries.inc({ provider: provider.name }, call.retries);
+  if (call.totalTokens != null) {
+    llmTokens.inc({ provider: provider.name, type: 'prompt' }, call.promptTokens);
+    llmTokens.inc({ provider: provider.name, type: 'completion' }, call.completionTokens);
+  }
+  if (call.costUsd != null) llmCost.inc({ model: call.model }, call.costUsd);
+  log.debug('LLM call finished', { kind, outcome, status: result.status, latencyMs: call.latencyMs, retries: call.retries });
+  return result;
 }
 
-export async function llmMatch(query, allNurses){
-  // Check for Azure credentials
-  if (!isLiveAzureEnabled()) {
-    console.log('Azure credentials not configured. Using mock mode for local development.');
-    console.log('Set AZURE_OPENAI_URI, AZURE_OPENAI_KEY, and AZURE_OPENAI_DEPLOYMENT for live matching.');
-    return getMockResponse(allNurses, query.topK || 5);
+function checkOutput(text, candidateIds) {
+  const parsed = extractJson(text);
+  if (parsed === undefined) {
+    return { parsed, results: [], errors: ['Output is not valid JSON'], dropped: [] };
   }
-  
-  // Limit candidates to reduce token usage for Azure API
-  const maxCandidates = Math.min(10, allNurses.length);
-  const limitedNurses = allNurses.slice(0, maxCandidates);
-  
-  const uri = resolvedAzureUri();
-  const uriHost = new URL(uri).hostname;
-  console.log(`Calling Azure OpenAI at ${uriHost} (deployment: ${AZURE_OPENAI_DEPLOYMENT || 'auto'})`);
-  
-  const payload = buildPrompt(query, limitedNurses);
-  console.log(`Processing ${limitedNurses.length} candidates (limited from ${allNurses.length})`);
+  return { parsed, ...validateMatchOutput(parsed, candidateIds) };
+}
 
-  // Build messages for Azure Chat Completions API
-  const messages = [
-    { 
-      role: 'system', 
-      content: 'You are a healthcare staffing matching engine for WonderCare. Rank candidates for a patient request using ALL provided data: skills, expertise tags, location proximity, availability overlap, rating, reviews, and urgency. Be decisive and avoid ties unless justified. Always respond with valid JSON in this format: {"results": [{"id": "string", "score": 0.95, "reason": "explanation"}]}' 
-    },
-    { 
-      role: 'user', 
-      content: `Request + Candidates (JSON):\n${JSON.stringify(payload)}\n\nReturn topK (default 5) as JSON only. Include a compact rationale per candidate.` 
+// Cache lookups never fail a match; a broken store just means a live call
+async function cacheGet(key) {
+  try {
+    const value = await llmCacheStore().get(key);
+    cacheLookups.inc({ result: value === undefined ? 'miss' : 'hit' });
+    return value;
+  } catch (e) {
+    cacheLookups.inc({ result: 'error' });
+    log.warn('LLM cache read failed', { err: e });
+    return undefined;
+  }
+}
+
+async function cacheSet(key, value) {
+  try {
+    await llmCacheStore().set(key, value, LLM_CACHE_TTL_MS);
+  } catch (e) {
+    log.warn('LLM cache write failed', { err: e });
+  }
+}
+
+// Emits a provisional `result` event for each ranked candidate as soon as its
+// object is complete in the streamed answer
+function streamingResults(pseudonyms, onEvent) {
+  const emitted = new Set();
+  let text = '';
+  return (delta) => {
+    text += delta;
+    for (const item of completedResultItems(text)) {
+      const alias = item?.id == null ? '' : String(item.id);
+      if (!pseudonyms.nurseOf(alias) || emitted.has(alias)) continue;
+      emitted.add(alias);
+      const [result] = remapResults([{
+        id: alias,
+        score: Math.min(1, Math.max(0, Number(item.score) || 0)),
+        reason: typeof item.reason === 'string' ? item.reason : ''
+      }], pseudonyms);
+      onEvent('result', { ...result, provisional: true });
     }
+  };
+}
+
+// `candidates` is the already-shortlisted set (see shortlist.js); `bookedIds`
+// marks nurses that already have an overlapping assignment.
+// query.cache: "use" (default) reads and fills the cache, "refresh" skips the
+// read but stores the new answer, "bypass" leaves the cache alone.
+// `onEvent(name, data)` receives progress (llm_start, streamed results) and
+// `abortSignal` cancels the provider call. `prompt` is the template from
+// prompts.js; by default query.promptVersion (or PROMPT_VERSION) is loaded.
+export async function llmMatch(query, candidates, { bookedIds, abortSignal, onEvent, prompt } = {}){
+  const provider = getProvider();
+  if (!provider.isConfigured()) {
+    throw new Error(`LLM not configured: provider "${provider.name}" is missing credentials`);
+  }
+
+  // Pseudonyms are per call: the model never sees roster ids
+  const pseudonyms = pseudonymize(candidates);
+  const payload = buildPrompt(query, candidates, bookedIds, pseudonyms);
+
+  const template = prompt || await loadPromptTemplate(query.promptVersion);
+  const topK = Number(query.topK) || 5;
+  const vars = { topK, candidateCount: candidates.length, payload: JSON.stringify(payload) };
+
+  // Chat-style messages; every provider accepts this shape
+  const messages = [
+    { role: 'system', content: renderPrompt(template.system, vars) },
+    { role: 'user', content: renderPrompt(template.user, vars) }
   ];
+  log.info('LLM ranking', { provider: provider.describe(), candidates: candidates.length, prompt: promptRef(template) });
 
-  // Log truncated request for debugging
-  console.log('Request payload:', maskSensitive(JSON.stringify(messages)));
+  // Patient location and any names stay out of the logs
+  if (log.enabled('debug')) log.debug('LLM request payload', { payload: redactForLog(payload) });
   
-  // Make API call with new robust client
-  const result = await azureRespond({
-    uri,
-    apiKey: AZURE_OPENAI_KEY,
+  const callOptions = promptParams(template, { topK });
+  if (STRUCTURED_OUTPUT && provider.supportsJsonSchema) {
+    callOptions.jsonSchema = { name: 'match_results', schema: MATCH_OUTPUT_SCHEMA };
+  }
+
+  const cacheMode = query.cache || 'use';
+  const cacheKey = LLM_CACHE_TTL_MS > 0 && cacheMode !== 'bypass'
+    ? llmCacheKey({
+      query: { ...payload.q, topK },
+      // Pseudonyms are positional: key on the real nurse behind each one too,
+      // so a hit is never remapped onto different nurses
+      candidates: payload.c.map((c, i) => ({ ...c, nurse: hashOf(candidates[i].id) })),
+      rosterVersion: rosterVersion(),
+      promptVersion: promptRef(template),
+      model: { provider: provider.describe(), ...callOptions, jsonSchema: Boolean(callOptions.jsonSchema) }
+    })
+    : null;
+
+  if (cacheKey && cacheMode === 'use') {
+    const hit = await cacheGet(cacheKey);
+    if (hit) {
+      log.info('LLM cache hit', { prompt: promptRef(template) });
+      return finishResults(query, pseudonyms, hit, true, template, sumUsage([]));
+    }
+  }
+
+  const streaming = Boolean(onEvent && provider.supportsStreaming);
+  onEvent?.('llm_start', { provider: provider.describe(), candidates: candidates.length, streaming });
+
+  const perCall = [];
+  const accounting = { perCall, prices: await loadPriceTable() };
+  const result = await timedRespond(provider, {
     messages,
-    temperature: 0.2,
-    top_p: 0.9,
-    max_tokens: 192
-  });
-  
+    ...callOptions,
+    abortSignal,
+    onToken: streaming ? streamingResults(pseudonyms, onEvent) : undefined
+  }, { kind: 'rank', ...accounting });
+
   if (!result.ok) {
-    console.error(`Azure OpenAI error:`, result.error);
-    throw new Error(`Azure OpenAI error: ${result.error}`);
+    log.error('LLM provider error', { status: result.status, error: result.error });
+    // The failed call still took time and retries; match.js reports it
+    const err = new Error(`LLM provider error: ${result.error}`);
+    err.usage = sumUsage(perCall);
+    throw err;
   }
   
-  console.log('Response received:', maskSensitive(result.text));
-  
-  let parsed;
-  try { 
-    parsed = typeof result.text === 'string' ? JSON.parse(result.text) : result.text;
-  } catch(e) { 
-    console.error('Failed to parse JSON:', maskSensitive(result.text));
-    throw new Error('LLM did not return valid JSON: ' + maskSensitive(result.text)); 
+  log.debug('LLM response', { text: truncate(result.text) });
+
+  const candidateIds = pseudonyms.aliases;
+  let checked = checkOutput(result.text, candidateIds);
+  let repaired = false;
+
+  if (checked.errors.length && REPAIR_ENABLED) {
+    log.warn('LLM output failed validation, re-prompting once', { problems: checked.errors.length });
+    const retry = await timedRespond(provider, {
+      messages: [
+        ...messages,
+        { role: 'assistant', content: String(result.text ?? '') },
+        {
+          role: 'user',
+          content: renderPrompt(template.repair, { ...vars, errors: `- ${checked.errors.slice(0, 20).join('\n- ')}` })
+        }
+      ],
+      ...callOptions,
+      abortSignal
+    }, { kind: 'repair', ...accounting });
+    if (retry.ok) {
+      const second = checkOutput(retry.text, candidateIds);
+      // Keep whichever attempt produced more usable results
+      if (second.parsed !== undefined && second.results.length >= checked.results.length) {
+        checked = second;
+        repaired = true;
+      }
+    } else {
+      log.error('LLM repair call failed', { status: retry.status, error: retry.error });
+    }
   }
-  
-  const results = (parsed.results || []).sort((a,b)=> (b.score??0)-(a.score??0));
-  // Attach names for convenience (use full list for name lookup)
-  const byId = Object.fromEntries(allNurses.map(n=>[n.id,n]));
-  return results.map(r => ({
+
+  const usage = sumUsage(perCall);
+  if (checked.parsed === undefined) {
+    log.error('LLM did not return valid JSON', { text: truncate(result.text) });
+    const err = new Error('LLM did not return valid JSON: ' + truncate(result.text));
+    err.usage = usage;
+    throw err;
+  }
+
+  // topK is part of the prompt and so of the cache key. Cached answers keep
+  // the pseudonyms; they are mapped back to roster ids on every read.
+  const ranked = {
+    results: checked.results,
+    validation: { errors: checked.errors, dropped: checked.dropped, repaired }
+  };
+  if (cacheKey) await cacheSet(cacheKey, ranked);
+
+  return finishResults(query, pseudonyms, ranked, false, template, usage);
+}
+
+function finishResults(query, pseudonyms, ranked, cached, template, usage) {
+  const topK = Number(query.topK) || 5;
+  // Back to roster ids, with names attached for convenience
+  const results = remapResults(ranked.results.slice(0, topK), pseudonyms).map(r => ({
     id: r.id,
-    name: byId[r.id]?.name || r.id,
+    name: r.name,
     score: r.score,
     reason: r.reason
   }));
-}
\ No newline at end of file
+
+  return { results, validation: ranked.validation, cached, promptVersion: promptRef(template), usage };
+}
+
+/**
+ * One minimal call to check that the provider answers, for the readiness
+ * probe (see health.js). Counted in the llm_* metrics with kind "probe".
+ */
+export async function probeProvider({ timeoutMs }) {
+  const provider = getProvider();
+  const perCall = [];
+  const result = await timedRespond(provider, {
+    messages: [{ role: 'user', content: 'Reply with OK.' }],
+    temperature: 0,
+    max_tokens: 16,
+    abortSignal: AbortSignal.timeout(timeoutMs)
+  }, { kind: 'probe', perCall, prices: await loadPriceTable().catch(() => ({})) });
+  return {
+    ok: result.ok,
+    status: result.status,
+    latencyMs: perCall[0].latencyMs,
+    ...(result.ok ? {} : { error: result.aborted ? `no answer within ${timeoutMs}ms` : result.error })
+  };
+}
@@ -0,0 +1,121 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+// Structured logging. One JSON object per line on stdout (warn and error on
+// stderr):
+//
+//   {"time":"...","level":"info","msg":"Roster loaded","requestId":"...","source":"csv","count":341}
+//
+// Fields set with withLogContext() (the request id, per request in index.js)
+// are added to every line logged inside the callback, across awaits, so
+// loadNurses, llmMatch and the provider clients need not pass them around.
+//
+// LOG_LEVEL: debug | info (default) | warn | error | silent
+// LOG_FORMAT: json (default) | pretty (one readable line, for local runs)
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run fn with `fields` added to every log line it produces (nested contexts
+ * merge). Returns fn's result.
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current context, e.g. { requestId }.
+ */
+export function logContext() {
+  return context.getStore() ?? {};
+}
+
+// Errors become { message, status?, stack } (stack at debug level only)
+function plain(value) {
+  if (!(value instanceof Error)) return value;
+  const out = { message: value.message };
+  if (value.status) out.status = value.status;
+  if (value.code) out.code = value.code;
+  if (LEVEL <= LEVELS.debug) out.stack = value.stack;
+  return out;
+}
+
+function prettyLine(entry) {
+  const { time, level, msg, requestId, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId.slice(0, 8)}] ` : ''}${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < LEVEL) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...context.getStore() };
+  for (const [key, value] of Object.entries(fields ?? {})) {
+    if (value !== undefined) entry[key] = plain(value);
+  }
+  let line;
+  try {
+    line = PRETTY ? prettyLine(entry) : JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ time: entry.time, level, msg, ...context.getStore(), note: 'fields not serializable' });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * log.info('Roster loaded', { source, count }). Pass errors as a field
+ * (`{ err }`); they are reduced to their message.
+ */
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  enabled: (level) => LEVELS[level] >= LEVEL
+};
+
+// Caller-supplied ids are kept when they look like ids
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+// Probes and scrapes would drown everything else at info level
+const QUIET_PATHS = new Set(['/health', '/metrics']);
+
+/**
+ * Express middleware giving each request an id (the caller's X-Request-Id,
+ * else a new UUID, echoed in the response header) and running the rest of
+ * the chain with it in the log context. Body parsers resume in their
+ * socket's async context, so mount it again after each one; the id is only
+ * assigned, and the request only logged on completion, the first time.
+ */
+export function requestContext() {
+  return (req, res, next) => {
+    if (!req.id) {
+      const given = req.get('X-Request-Id');
+      req.id = given && REQUEST_ID.test(given) ? given : randomUUID();
+      res.set('X-Request-Id', req.id);
+      const started = process.hrtime.bigint();
+      res.on('finish', () => withLogContext({ requestId: req.id }, () => {
+        const fields = {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+          client: req.apiKey?.id
+        };
+        if (QUIET_PATHS.has(req.path)) log.debug('Request', fields);
+        else log.info('Request', fields);
+      }));
+    }
+    withLogContext({ requestId: req.id }, next);
+  };
+}
+
+if (process.env.LOG_LEVEL && !(process.env.LOG_LEVEL in LEVELS)) {
+  log.warn(`Unknown LOG_LEVEL "${process.env.LOG_LEVEL}", using info`, { allowed: Object.keys(LEVELS) });
+}
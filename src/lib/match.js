@@ -0,0 +1,245 @@
+import { findBookedNurseIds } from '../db.js';
+import { constraintViolations } from './constraints.js';
+import { loadGazetteer } from './geo.js';
+import { llmMatch } from './llm.js';
+import { log } from './log.js';
+import { counter } from './metrics.js';
+import { loadPromptTemplate, promptRef } from './prompts.js';
+import { isLlmConfigured } from './providers.js';
+import { BOOKED_PENALTY, queryOrigin, rulesMatch, scoreBreakdown } from './rules.js';
+import { shortlistCandidates } from './shortlist.js';
+import { recordUsage } from './usage.js';
+
+export const MATCH_MODES = ['llm', 'rules', 'hybrid'];
+
+const fallbacks = counter('match_llm_fallbacks_total', 'LLM-mode queries answered by the rules engine instead', ['reason']);
+
+// Share of the LLM score in hybrid mode; the rest comes from the rules engine
+const HYBRID_LLM_WEIGHT = Number(process.env.HYBRID_LLM_WEIGHT ?? 0.6);
+
+function badRequest(message, field) {
+  const err = new Error(message);
+  err.status = 400;
+  if (field) err.field = field;
+  return err;
+}
+
+function blend(llmResults, rulesResults) {
+  const rulesById = Object.fromEntries(rulesResults.map(r => [r.id, r.score]));
+  return llmResults
+    .map(r => {
+      const ruleScore = rulesById[r.id] ?? 0;
+      const llmScore = Number(r.score) || 0;
+      return {
+        ...r,
+        score: Number((HYBRID_LLM_WEIGHT * llmScore + (1 - HYBRID_LLM_WEIGHT) * ruleScore).toFixed(4))
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// The LLM is told who is booked, but the penalty is applied in code regardless
+function penalizeBooked(results, bookedIds) {
+  return results
+    .map(r => (bookedIds.has(r.id) ? { ...r, score: Number((r.score * BOOKED_PENALTY).toFixed(4)) } : r))
+    .sort((a, b) => b.score - a.score);
+}
+
+// A city without coordinates is placed at its gazetteer centroid. Returns the
+// query to match with and the `location` report for the response.
+async function locate(query) {
+  if (!query.city || query.lat != null) return { query, location: undefined };
+  const place = (await loadGazetteer()).resolve(query.city);
+  if (place) {
+    return {
+      query: { ...query, lat: place.lat, lng: place.lng },
+      location: { city: query.city, resolved: place.name, lat: place.lat, lng: place.lng, source: 'city' }
+    };
+  }
+  if (query.radiusKm != null || query.constraints?.maxDistanceKm != null) {
+    throw badRequest(`unknown city "${query.city}"; give lat/lng to search by distance`, 'city');
+  }
+  return { query, location: { city: query.city, resolved: null } };
+}
+
+// Never trust the ranking to respect hard constraints: re-check every result
+function enforceConstraints(results, query, candidates, report) {
+  if (!query.constraints) return results;
+  const byId = new Map(candidates.map(n => [n.id, n]));
+  const origin = queryOrigin(query);
+  return results.filter(r => {
+    const nurse = byId.get(r.id);
+    const ok = nurse && !constraintViolations(nurse, query.constraints, origin).length;
+    if (!ok) report.removedAfterRanking++;
+    return ok;
+  });
+}
+
+// Every engine's results get the same deterministic per-criterion breakdown
+function withBreakdown(results, query, candidates, { weights, radiusKm, bookedIds }) {
+  const byId = new Map(candidates.map(n => [n.id, n]));
+  return results.map(r => {
+    const nurse = byId.get(r.id);
+    if (!nurse) return r;
+    const booked = Boolean(bookedIds?.has(r.id));
+    return { ...r, breakdown: scoreBreakdown(query, nurse, { weights, radiusKm, booked }) };
+  });
+}
+
+function accountUsage(usage, { client, promptVersion, cached }) {
+  if (!usage) return;
+  recordUsage({ client, promptVersion, usage, cached });
+  if (cached) return;
+  log.info('LLM usage', {
+    calls: usage.calls,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    costUsd: usage.costUsd,
+    latencyMs: usage.latencyMs,
+    retries: usage.retries,
+    model: usage.model
+  });
+}
+
+// The query's mode, else MATCH_MODE, else llm
+export function matchMode(request) {
+  return request.mode || process.env.MATCH_MODE || 'llm';
+}
+
+// Whether running the query calls the LLM provider (charged against a key's
+// daily LLM quota, see auth.js)
+export function usesLlm(request) {
+  return matchMode(request) !== 'rules' && isLlmConfigured();
+}
+
+/**
+ * Shortlist the roster and rank it with the requested engine.
+ *
+ *  - rules:  deterministic heuristics only
+ *  - llm:    LLM ranking of the shortlist (default)
+ *  - hybrid: LLM ranking blended with the rules score
+ *
+ * Nurses with an active assignment overlapping start/end are excluded
+ * (default), penalized, or ignored according to `query.booked`.
+ *
+ * llm/hybrid fall back to the rules engine when the LLM is not configured or
+ * the call fails; `fallback` in the result says why. Pass the roster `index`
+ * (roster.js) when available to skip scanning every nurse.
+ *
+ * query.constraints filter the roster before ranking and the ranked results
+ * again afterwards; `constraints` in the result counts the nurses each one
+ * excluded.
+ *
+ * A `city` without lat/lng is resolved to its centroid (geo.js) so distance
+ * scoring, radiusKm and maxDistanceKm work from a city name; `location` in
+ * the result says what it resolved to.
+ *
+ * Each result carries a `breakdown` (see scoreBreakdown in rules.js) so
+ * rankings can be audited criterion by criterion.
+ *
+ * llm/hybrid render the prompt template named by query.promptVersion (default
+ * PROMPT_VERSION, see prompts.js); `promptVersion` in the result ("id@hash")
+ * records which one, fallbacks included, and `usage` the tokens, estimated
+ * cost, latency and retries of the call (and repair call, if any; see
+ * usage.js). Usage is also added to the metrics of `client` (the API key id).
+ *
+ * `onEvent(name, data)` receives progress for streaming clients (shortlist,
+ * llm_start, provisional result, fallback); `abortSignal` cancels the LLM call.
+ */
+export async function runMatch(request, nurses, { index, onEvent, abortSignal, client } = {}) {
+  const mode = matchMode(request);
+  if (!MATCH_MODES.includes(mode)) {
+    throw badRequest(`Unknown mode "${mode}" (expected one of ${MATCH_MODES.join(', ')})`);
+  }
+  // Resolved up front so an unknown version is a 400, not a rules fallback
+  const prompt = mode === 'rules' ? null : await loadPromptTemplate(request.promptVersion);
+  const { query, location } = await locate(request);
+
+  // Nurses already assigned in the requested window
+  const bookedPolicy = query.booked || 'exclude';
+  const bookedIds = bookedPolicy !== 'ignore' && query.start && query.end
+    ? await findBookedNurseIds(query.start, query.end)
+    : new Set();
+
+  const { candidates, stages, excluded } = shortlistCandidates(query, nurses, {
+    size: query.shortlistSize,
+    weights: query.weights,
+    radiusKm: query.radiusKm,
+    minCoverage: query.minCoverage,
+    bookedIds,
+    bookedPolicy,
+    index
+  });
+  onEvent?.('shortlist', { stages, candidates: candidates.map(n => n.id) });
+
+  // Excluded nurses never reach ranking; only the penalize policy needs the set
+  const rulesOptions = {
+    weights: query.weights,
+    radiusKm: query.radiusKm,
+    bookedIds: bookedPolicy === 'penalize' ? bookedIds : undefined
+  };
+
+  const constraintReport = query.constraints ? { excluded, removedAfterRanking: 0 } : undefined;
+  const context = { stages, constraints: constraintReport, location, promptVersion: prompt ? promptRef(prompt) : undefined };
+  const explained = (results) => withBreakdown(
+    enforceConstraints(results, query, candidates, constraintReport),
+    query, candidates, rulesOptions
+  );
+  const rulesOnly = () => explained(rulesMatch(query, candidates, rulesOptions));
+
+  if (mode === 'rules') {
+    return { mode, engine: 'rules', results: rulesOnly(), ...context };
+  }
+
+  if (!isLlmConfigured()) {
+    log.info('LLM provider not configured, using rules engine for local development');
+    fallbacks.inc({ reason: 'not_configured' });
+    onEvent?.('fallback', { from: 'llm', reason: 'LLM not configured' });
+    return {
+      mode,
+      engine: 'rules',
+      results: rulesOnly(),
+      ...context,
+      fallback: { from: 'llm', reason: 'LLM not configured' }
+    };
+  }
+
+  let llmResults;
+  let validation;
+  let cached;
+  let usage;
+  try {
+    ({ results: llmResults, validation, cached, usage } = await llmMatch(query, candidates, {
+      bookedIds: rulesOptions.bookedIds,
+      abortSignal,
+      onEvent,
+      prompt
+    }));
+    if (rulesOptions.bookedIds?.size) llmResults = penalizeBooked(llmResults, rulesOptions.bookedIds);
+  } catch (e) {
+    accountUsage(e.usage, { client, promptVersion: context.promptVersion });
+    // Nobody is waiting for a fallback answer
+    if (abortSignal?.aborted) throw e;
+    log.error('LLM match failed, falling back to rules engine', { err: e });
+    fallbacks.inc({ reason: 'llm_failed' });
+    onEvent?.('fallback', { from: 'llm', reason: e.message });
+    return {
+      mode,
+      engine: 'rules',
+      results: rulesOnly(),
+      ...context,
+      fallback: { from: 'llm', reason: e.message },
+      ...(e.usage ? { usage: e.usage } : {})
+    };
+  }
+  accountUsage(usage, { client, promptVersion: context.promptVersion, cached });
+
+  if (mode === 'hybrid') {
+    const allRules = rulesMatch({ ...query, topK: candidates.length }, candidates, rulesOptions);
+    const results = explained(blend(llmResults, allRules));
+    return { mode, engine: 'hybrid', results, ...context, validation, cached, usage };
+  }
+
+  const results = explained(llmResults);
+  return { mode, engine: 'llm', results, ...context, validation, cached, usage };
+}
@@ -0,0 +1,195 @@
+// Prometheus metrics without a client library. Modules declare what they
+// measure next to the code that measures it:
+//
+//   const calls = counter('llm_calls_total', 'LLM provider calls', ['provider', 'status']);
+//   calls.inc({ provider: 'azure-chat', status: '200' });
+//
+// and GET /metrics renders every registered metric in the text exposition
+// format (version 0.0.4). Values live in process memory. Keep label values to
+// small fixed sets (route patterns, not URLs).
+
+const registry = new Map(); // name -> metric
+
+// Default latency buckets, in seconds
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).filter(([, v]) => v !== undefined);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+// Series key: label values in declaration order
+function keyOf(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function labelsOf(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} registered twice`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function valueText(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Monotonic counter. `collect()` (optional) returns [[labels, value], ...]
+ * read at scrape time, for totals another module already keeps.
+ */
+export function counter(name, help, labelNames = [], { collect } = {}) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels, value = 1) {
+      const key = keyOf(labelNames, labels);
+      series.set(key, (series.get(key) ?? 0) + value);
+    },
+    samples() {
+      if (collect) return collect().map(([labels, value]) => [name, labels, value]);
+      return [...series].map(([key, value]) => [name, labelsOf(labelNames, key), value]);
+    }
+  });
+}
+
+/**
+ * Value that goes up and down; `collect()` as for counter().
+ */
+export function gauge(name, help, labelNames = [], { collect } = {}) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    set(labels, value) {
+      series.set(keyOf(labelNames, labels), value);
+    },
+    samples() {
+      if (collect) return collect().map(([labels, value]) => [name, labels, value]);
+      return [...series].map(([key, value]) => [name, labelsOf(labelNames, key), value]);
+    }
+  });
+}
+
+/**
+ * Histogram with cumulative `le` buckets, _sum and _count per label set.
+ */
+export function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+  const series = new Map(); // key -> { counts: per bucket, sum, count }
+  const observe = (labels, value) => {
+    const key = keyOf(labelNames, labels);
+    let s = series.get(key);
+    if (!s) {
+      s = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+      series.set(key, s);
+    }
+    const i = buckets.findIndex(b => value <= b);
+    if (i >= 0) s.counts[i]++;
+    s.sum += value;
+    s.count++;
+  };
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe,
+    // Observe the seconds between now and the returned function's call;
+    // labels passed to that call are added (e.g. the outcome)
+    startTimer(labels) {
+      const started = process.hrtime.bigint();
+      return (more = {}) => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        observe({ ...labels, ...more }, seconds);
+        return seconds;
+      };
+    },
+    samples() {
+      const out = [];
+      for (const [key, s] of series) {
+        const labels = labelsOf(labelNames, key);
+        let cumulative = 0;
+        buckets.forEach((bound, i) => {
+          cumulative += s.counts[i];
+          out.push([`${name}_bucket`, { ...labels, le: bound }, cumulative]);
+        });
+        out.push([`${name}_bucket`, { ...labels, le: '+Inf' }, s.count]);
+        out.push([`${name}_sum`, labels, s.sum]);
+        out.push([`${name}_count`, labels, s.count]);
+      }
+      return out;
+    }
+  });
+}
+
+/**
+ * Every registered metric in Prometheus text format. A collector that throws
+ * is skipped (and reported as a comment) rather than failing the scrape.
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    let samples;
+    try {
+      samples = metric.samples();
+    } catch (e) {
+      lines.push(`# ${metric.name} unavailable: ${e.message.replace(/\n/g, ' ')}`);
+      continue;
+    }
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const [name, labels, value] of samples) {
+      lines.push(`${name}${labelText(labels)} ${valueText(value)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route pattern and status', ['method', 'route', 'status']);
+const httpSeconds = histogram('http_request_duration_seconds', 'HTTP request latency until the response is sent', ['method', 'route']);
+
+// The matched route's pattern (/nurses/:id, not the URL). Requests no route
+// handled (404s, auth rejections, static docs) share "unmatched".
+function routeOf(req) {
+  if (!req.route) return 'unmatched';
+  return Array.isArray(req.route.path) ? req.path : req.baseUrl + req.route.path;
+}
+
+/**
+ * Express middleware counting requests and timing them per route.
+ */
+export function httpMetrics() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = routeOf(req);
+      httpRequests.inc({ method: req.method, route, status: String(res.statusCode) });
+      httpSeconds.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  };
+}
+
+const startTime = Date.now() / 1000;
+
+gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch', [], {
+  collect: () => [[{}, startTime]]
+});
+gauge('process_resident_memory_bytes', 'Resident memory size', [], {
+  collect: () => [[{}, process.memoryUsage().rss]]
+});
+gauge('nodejs_heap_used_bytes', 'V8 heap in use', [], {
+  collect: () => [[{}, process.memoryUsage().heapUsed]]
+});
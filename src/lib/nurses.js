@@ -0,0 +1,286 @@
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv-parse/sync';
+import { normalizeAvailability } from './availability.js';
+import { NURSE_SCHEMA, validateBody } from './schema.js';
+
+// Turning raw roster input (the sample CSV export, JSON bodies, bulk imports)
+// into the nurse records db.js stores and /match reads.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Helper to create deterministic hash-based value 0-1 from string
+function hashToUnit(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return Math.abs(hash % 1000) / 1000; // Return value 0-1
+}
+
+export const CSV_MAPPING_FILE = process.env.CSV_MAPPING_FILE ||
+  join(__dirname, '..', '..', 'config', 'csv-mapping.json');
+
+let cachedMapping = null; // { mtimeMs, mapping }
+
+/**
+ * The CSV mapping config (column -> field, value maps, row filters), re-read
+ * when the file changes. Throws with the file name when it is malformed.
+ */
+export async function loadCsvMapping() {
+  const { mtimeMs } = await fs.stat(CSV_MAPPING_FILE);
+  if (cachedMapping?.mtimeMs !== mtimeMs) {
+    const mapping = JSON.parse(await fs.readFile(CSV_MAPPING_FILE, 'utf8'));
+    const problems = checkCsvMapping(mapping);
+    if (problems.length) {
+      throw new Error(`Invalid CSV mapping ${CSV_MAPPING_FILE}: ${problems.join('; ')}`);
+    }
+    cachedMapping = { mtimeMs, mapping };
+  }
+  return cachedMapping.mapping;
+}
+
+function checkCsvMapping(mapping) {
+  const problems = [];
+  if (!mapping?.fields?.id) problems.push('fields.id (the nurse id column) is required');
+  for (const [i, filter] of (mapping?.filters || []).entries()) {
+    if (!filter.column) problems.push(`filters[${i}].column is required`);
+    if (!Array.isArray(filter.include) && !Array.isArray(filter.exclude)) {
+      problems.push(`filters[${i}] needs an include or exclude list`);
+    }
+  }
+  for (const key of ['services', 'mobility']) {
+    for (const [value, list] of Object.entries(mapping?.[key] || {})) {
+      if (!Array.isArray(list)) problems.push(`${key}.${value} must be a list`);
+    }
+  }
+  return problems;
+}
+
+// The reason a row is dropped, or null to keep it
+function filteredBy(record, filters) {
+  for (const filter of filters) {
+    const value = String(record[filter.column] ?? '').trim();
+    if (filter.include && !filter.include.includes(value)) return filter.name || filter.column;
+    if (filter.exclude && filter.exclude.includes(value)) return filter.name || filter.column;
+  }
+  return null;
+}
+
+// Tally of a value per key, listed most frequent first
+function countInto(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+const tally = (map, label) => [...map].map(([key, rows]) => ({ [label]: key, rows }))
+  .sort((a, b) => b.rows - a.rows);
+
+/**
+ * Convert rows of the nurse CSV export (one row per nurse × treatment ×
+ * municipality) into nurse records, grouped by the id column, as described by
+ * `mapping` (config/csv-mapping.json): which column feeds which field, value
+ * maps from treatment and mobility codes to services and expertise tags, and
+ * row filters (cancelled, inactive, unapproved...). Municipalities are
+ * resolved through `gazetteer` (geo.js) to a canonical city and centroid.
+ *
+ * Returns { nurses, rejected, unresolvedCities, report }:
+ *  - nurses carry `rows`, the CSV line numbers they were built from
+ *  - rejected is [{ row, errors }] for rows without a nurse id
+ *  - unresolvedCities is [{ city, rows }] for municipalities the gazetteer
+ *    does not know; those nurses keep the raw name and get no coordinates
+ *  - report counts rows read, kept and filtered (per filter), nurses built
+ *    and dropped, and lists unmapped treatment/mobility values
+ */
+export function nursesFromCsv(content, { mapping, gazetteer } = {}) {
+  const records = parse(content, {
+    columns: true,
+    skip_empty_lines: true,
+    bom: true
+  });
+
+  const fields = mapping?.fields || {};
+  const defaults = mapping?.defaults || {};
+  const column = (record, field) => {
+    const value = fields[field] ? String(record[fields[field]] ?? '').trim() : '';
+    return value || defaults[field] || '';
+  };
+
+  // Group by nurse id and aggregate data
+  const nursesMap = new Map();
+  const rejected = [];
+  const unresolved = new Map();
+  const filtered = new Map();
+  const filteredIds = new Set();
+  const unmappedServices = new Map();
+  const unmappedMobility = new Map();
+  let counter = 1;
+
+  records.forEach((record, i) => {
+    const row = i + 2; // header is line 1
+    const nurseId = column(record, 'id');
+    if (!nurseId) {
+      rejected.push({ row, errors: [{ field: fields.id || 'id', message: 'is required' }] });
+      return;
+    }
+    const reason = filteredBy(record, mapping?.filters || []);
+    if (reason) {
+      countInto(filtered, reason);
+      filteredIds.add(nurseId);
+      return;
+    }
+
+    const municipality = column(record, 'city');
+    const place = municipality ? gazetteer?.resolve(municipality) : null;
+    if (municipality && !place) countInto(unresolved, municipality);
+
+    if (!nursesMap.has(nurseId)) {
+      nursesMap.set(nurseId, {
+        id: nurseId, // Use actual nurse_id
+        name: `Nurse ${counter}`, // Anonymous name
+        city: place?.name ?? (municipality || undefined),
+        lat: place?.lat,
+        lng: place?.lng,
+        gender: column(record, 'gender') || undefined,
+        mobility: column(record, 'mobility') || undefined,
+        services: new Set(),
+        expertiseTags: new Set(),
+        rating: 4.2 + hashToUnit(nurseId) * 0.7, // Deterministic 4.2-4.9
+        reviewsCount: Math.floor(50 + hashToUnit(nurseId + 'reviews') * 150), // Deterministic 50-200
+        availability: normalizeAvailability({
+          from: column(record, 'availableFrom'),
+          to: column(record, 'availableTo')
+        }),
+        status: column(record, 'status') || undefined,
+        rows: []
+      });
+      counter++;
+    }
+
+    const nurse = nursesMap.get(nurseId);
+    nurse.rows.push(row);
+
+    // Services from the treatment code
+    const treatment = column(record, 'treatment');
+    const services = mapping?.services?.[treatment];
+    if (!services) countInto(unmappedServices, treatment || '(empty)');
+    (services || mapping?.unmappedServices || []).forEach(s => nurse.services.add(s));
+
+    // Expertise from the patient mobility this nurse handles
+    const mobility = column(record, 'mobility');
+    if (mobility) {
+      const tags = mapping?.mobility?.[mobility];
+      if (!tags) countInto(unmappedMobility, mobility);
+      (tags || []).forEach(e => nurse.expertiseTags.add(e));
+    }
+  });
+
+  // Convert to array and clean up Sets
+  const nurses = Array.from(nursesMap.values()).map(n => ({
+    ...n,
+    services: Array.from(n.services),
+    expertiseTags: Array.from(n.expertiseTags)
+  }));
+
+  const unresolvedCities = tally(unresolved, 'city');
+  const keptRows = nurses.reduce((sum, n) => sum + n.rows.length, 0);
+  const report = {
+    rows: {
+      read: records.length,
+      kept: keptRows,
+      rejected: rejected.length,
+      filtered: Object.fromEntries(filtered)
+    },
+    nurses: {
+      built: nurses.length,
+      // Every row of these nurses was filtered out
+      dropped: [...filteredIds].filter(id => !nursesMap.has(id)).length
+    },
+    unmapped: {
+      services: tally(unmappedServices, 'value'),
+      mobility: tally(unmappedMobility, 'value')
+    },
+    unresolvedCities
+  };
+
+  return { nurses, rejected, unresolvedCities, report };
+}
+
+/**
+ * Validate one nurse body (POST/PUT/import); a missing id gets a UUID.
+ * Availability is stored as given and normalized when the roster is loaded.
+ * Returns { value, errors }.
+ */
+export function prepareNurse(body) {
+  const errors = validateBody(NURSE_SCHEMA, body);
+  if (errors.length) return { value: null, errors };
+  return { value: { ...body, id: body.id || randomUUID() }, errors };
+}
+
+/**
+ * Validate a PATCH body: any subset of the nurse fields, id excluded.
+ * Returns [{ field, message }].
+ */
+export function validateNursePatch(body) {
+  const errors = validateBody({ ...NURSE_SCHEMA, required: [] }, body);
+  if (body && typeof body === 'object' && 'id' in body) {
+    errors.push({ field: 'id', message: 'cannot be changed' });
+  }
+  return errors;
+}
+
+/**
+ * Parse a POST /nurses/import body. CSV (text) goes through the same mapping
+ * as the sample export; JSON may be an array of nurses or { nurses: [...] }.
+ *
+ * Returns { nurses, rows, rejected, unresolvedCities, report }: valid
+ * records ready for storage, the input row of each (rows[i] belongs to
+ * nurses[i]), [{ row, id, errors }] for records that failed validation, and
+ * for CSV the municipalities the gazetteer could not place and the ingestion
+ * report of nursesFromCsv. A row is the CSV line number, or the 1-based
+ * position in the JSON array.
+ */
+export function parseNurseImport(body, { csv = false, mapping, gazetteer } = {}) {
+  const nurses = [];
+  const rows = [];
+  const rejected = [];
+  let unresolvedCities = [];
+  let report;
+
+  let entries;
+  if (csv) {
+    const parsed = nursesFromCsv(String(body ?? ''), { mapping, gazetteer });
+    rejected.push(...parsed.rejected);
+    ({ unresolvedCities, report } = parsed);
+    entries = parsed.nurses.map(({ rows, ...nurse }) => ({ row: rows[0], nurse }));
+  } else {
+    const list = Array.isArray(body) ? body : body?.nurses;
+    if (!Array.isArray(list)) {
+      const err = new Error('Expected a JSON array of nurses or { "nurses": [...] }');
+      err.status = 400;
+      throw err;
+    }
+    entries = list.map((nurse, i) => ({ row: i + 1, nurse }));
+  }
+
+  const seen = new Set();
+  for (const { row, nurse } of entries) {
+    const { value, errors } = prepareNurse(nurse);
+    if (value && seen.has(value.id)) {
+      errors.push({ field: 'id', message: 'appears more than once in this import' });
+    }
+    if (errors.length) {
+      rejected.push({ row, id: nurse?.id ?? null, errors });
+      continue;
+    }
+    seen.add(value.id);
+    nurses.push(value);
+    rows.push(row);
+  }
+
+  rejected.sort((a, b) => a.row - b.row);
+  return { nurses, rows, rejected, unresolvedCities, report };
+}
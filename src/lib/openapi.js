@@ -0,0 +1,706 @@
+import {
+  ASSIGNMENT_SCHEMA, BATCH_SCHEMA, JOB_REQUEST_SCHEMA, MATCH_QUERY_SCHEMA, NURSE_SCHEMA, QUERY_SCHEMA_VERSION
+} from './schema.js';
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: { type: 'string' },
+    detail: { type: 'string' }
+  }
+};
+
+const VALIDATION_ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error', 'errors'],
+  properties: {
+    error: { type: 'string', const: 'Invalid request' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['field', 'message'],
+        properties: { field: { type: 'string' }, message: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const MATCH_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['count', 'results'],
+  properties: {
+    count: { type: 'integer' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'score', 'reason'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          score: { type: 'number', minimum: 0, maximum: 1 },
+          reason: { type: 'string' },
+          breakdown: {
+            type: 'object',
+            description: 'Deterministic per-criterion scores (0-1, null when not applicable) computed next to the engine score',
+            properties: {
+              services: { type: ['number', 'null'] },
+              expertise: { type: ['number', 'null'] },
+              distanceKm: { type: ['number', 'null'] },
+              distance: { type: ['number', 'null'] },
+              availability: { type: ['number', 'null'], description: 'Share of the requested window the nurse covers' },
+              rating: { type: ['number', 'null'] },
+              reviews: { type: ['number', 'null'] },
+              preferences: { type: ['number', 'null'], description: 'Share of the soft preferences met' },
+              urgency: { type: ['number', 'null'], description: 'Urgent requests only: mean of distance and availability' },
+              rulesScore: { type: 'number', description: 'Weighted rules-engine score' },
+              booked: { type: 'boolean' },
+              matched: { type: 'array', items: { type: 'string' }, description: 'Requested services the nurse offers' },
+              missing: { type: 'array', items: { type: 'string' }, description: 'Requested services the nurse lacks' }
+            }
+          }
+        }
+      }
+    },
+    mode: { type: 'string', enum: ['llm', 'rules', 'hybrid'] },
+    engine: { type: 'string', enum: ['llm', 'rules', 'hybrid'], description: 'Engine that produced the ranking' },
+    stages: {
+      type: 'object',
+      description: 'Candidates left after each shortlist stage',
+      additionalProperties: { type: 'integer' }
+    },
+    cached: { type: 'boolean', description: 'LLM ranking served from the response cache' },
+    promptVersion: {
+      type: 'string',
+      description: 'Prompt template as "<id>@<content hash>" (llm/hybrid modes, fallbacks included)'
+    },
+    usage: {
+      type: 'object',
+      description: 'LLM calls made for this match (llm/hybrid, fallbacks after a failed call included); null counts when the provider reported none',
+      properties: {
+        calls: { type: 'integer', description: 'Provider calls, including a repair call; 0 on a cache hit' },
+        promptTokens: { type: ['integer', 'null'] },
+        completionTokens: { type: ['integer', 'null'] },
+        totalTokens: { type: ['integer', 'null'] },
+        costUsd: { type: ['number', 'null'], description: 'Estimated from the price table (config/llm-prices.json); null when the model is not priced' },
+        latencyMs: { type: 'integer', description: 'Time spent in provider calls, retries included' },
+        retries: { type: 'integer', description: 'HTTP retries after 429, 5xx or network errors' },
+        model: { type: ['string', 'null'] },
+        perCall: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              kind: { type: 'string', enum: ['rank', 'repair'] },
+              model: { type: ['string', 'null'] },
+              ok: { type: 'boolean' },
+              promptTokens: { type: ['integer', 'null'] },
+              completionTokens: { type: ['integer', 'null'] },
+              totalTokens: { type: ['integer', 'null'] },
+              costUsd: { type: ['number', 'null'] },
+              latencyMs: { type: 'integer' },
+              retries: { type: 'integer' }
+            }
+          }
+        }
+      }
+    },
+    location: {
+      type: 'object',
+      description: 'Present when the query gave a city without lat/lng',
+      properties: {
+        city: { type: 'string' },
+        resolved: { type: ['string', 'null'], description: 'Canonical locality, null when the city is unknown' },
+        lat: { type: 'number' },
+        lng: { type: 'number' },
+        source: { type: 'string', const: 'city' }
+      }
+    },
+    constraints: {
+      type: 'object',
+      description: 'Present when the query has hard constraints',
+      properties: {
+        excluded: {
+          type: 'object',
+          description: 'Nurses failing each constraint (`<key>`) or lacking the data to check it (`<key>_unknown`), one nurse may fail several, and `total` removed',
+          additionalProperties: { type: 'integer' }
+        },
+        removedAfterRanking: { type: 'integer', description: 'Ranked results dropped by the post-ranking check' }
+      }
+    },
+    fallback: {
+      type: 'object',
+      properties: { from: { type: 'string' }, reason: { type: 'string' } }
+    },
+    validation: {
+      type: 'object',
+      properties: {
+        errors: { type: 'array', items: { type: 'string' } },
+        dropped: {
+          type: 'array',
+          items: { type: 'object', properties: { id: { type: 'string' }, reason: { type: 'string' } } }
+        },
+        repaired: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+const ASSIGNMENT_RECORD_SCHEMA = {
+  type: 'object',
+  required: ['id', 'nurseId', 'start', 'end', 'status'],
+  properties: {
+    id: { type: 'string' },
+    nurseId: { type: 'string' },
+    start: { type: 'string', format: 'date-time' },
+    end: { type: 'string', format: 'date-time' },
+    status: { type: 'string', enum: ['active', 'cancelled'] },
+    patientRef: { type: ['string', 'null'] },
+    note: { type: ['string', 'null'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    cancelledAt: { type: ['string', 'null'], format: 'date-time' }
+  }
+};
+
+const ASSIGNMENT_CONFLICT_SCHEMA = {
+  type: 'object',
+  required: ['error', 'conflict'],
+  properties: {
+    error: { type: 'string' },
+    detail: { type: 'string' },
+    conflict: { $ref: '#/components/schemas/Assignment' }
+  }
+};
+
+const IMPORT_REPORT_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'created', 'updated', 'rejected'],
+  properties: {
+    summary: {
+      type: 'object',
+      properties: {
+        received: { type: 'integer' },
+        created: { type: 'integer' },
+        updated: { type: 'integer' },
+        rejected: { type: 'integer' }
+      }
+    },
+    unresolvedCities: {
+      type: 'array',
+      description: 'CSV only: municipalities not in the gazetteer; those nurses have no coordinates',
+      items: { type: 'object', properties: { city: { type: 'string' }, rows: { type: 'integer' } } }
+    },
+    ingestion: {
+      type: 'object',
+      description: 'CSV only: rows read/kept/filtered, nurses built/dropped and unmapped values',
+      properties: {
+        rows: {
+          type: 'object',
+          properties: {
+            read: { type: 'integer' },
+            kept: { type: 'integer' },
+            rejected: { type: 'integer' },
+            filtered: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Rows skipped per filter name' }
+          }
+        },
+        nurses: { type: 'object', properties: { built: { type: 'integer' }, dropped: { type: 'integer' } } },
+        unmapped: {
+          type: 'object',
+          properties: {
+            services: { type: 'array', items: { type: 'object', properties: { value: { type: 'string' }, rows: { type: 'integer' } } } },
+            mobility: { type: 'array', items: { type: 'object', properties: { value: { type: 'string' }, rows: { type: 'integer' } } } }
+          }
+        }
+      }
+    },
+    created: { type: 'array', items: { type: 'string' } },
+    updated: { type: 'array', items: { type: 'string' } },
+    rejected: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          row: { type: 'integer', description: 'CSV line number or 1-based JSON array position' },
+          id: { type: ['string', 'null'] },
+          errors: { $ref: '#/components/schemas/ValidationError/properties/errors' }
+        }
+      }
+    }
+  }
+};
+
+const BATCH_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['count', 'succeeded', 'failed', 'queries'],
+  properties: {
+    count: { type: 'integer' },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    exclusive: { type: 'boolean' },
+    durationMs: { type: 'integer' },
+    queries: {
+      type: 'array',
+      description: 'One entry per query, in input order. Successful entries also carry the MatchResponse fields.',
+      items: {
+        type: 'object',
+        required: ['index', 'ok'],
+        properties: {
+          index: { type: 'integer' },
+          ref: { type: ['string', 'null'] },
+          ok: { type: 'boolean' },
+          count: { type: 'integer' },
+          results: { $ref: '#/components/schemas/MatchResponse/properties/results' },
+          assigned: { type: ['string', 'null'], description: 'exclusive mode: nurse reserved for this query' },
+          conflicts: {
+            type: 'array',
+            description: 'exclusive mode: nurses removed because an overlapping query holds them',
+            items: { type: 'object', properties: { id: { type: 'string' }, assignedTo: { type: ['string', 'integer'] } } }
+          },
+          error: { type: 'string' },
+          detail: { type: 'string' },
+          errors: { $ref: '#/components/schemas/ValidationError/properties/errors' }
+        }
+      }
+    }
+  }
+};
+
+const JOB_SCHEMA = {
+  type: 'object',
+  required: ['id', 'status', 'createdAt'],
+  properties: {
+    id: { type: 'string' },
+    status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    startedAt: { type: ['string', 'null'], format: 'date-time' },
+    finishedAt: { type: ['string', 'null'], format: 'date-time' },
+    durationMs: { type: ['integer', 'null'] },
+    queuePosition: { type: 'integer', description: 'queued jobs only; 1 runs next' },
+    result: { $ref: '#/components/schemas/MatchResponse', description: 'succeeded jobs only' },
+    error: { type: 'string', description: 'failed jobs only' },
+    callback: {
+      type: 'object',
+      properties: {
+        url: { type: 'string' },
+        status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+        deliveredAt: { type: 'string', format: 'date-time' },
+        httpStatus: { type: ['integer', 'null'] },
+        error: { type: 'string' }
+      }
+    }
+  }
+};
+
+const json = (ref) => ({ 'application/json': { schema: { $ref: `#/components/schemas/${ref}` } } });
+
+// Scope each path needs, mirroring the requireKey mounts in index.js
+function scopeOf(path) {
+  if (path === '/health/ready/details') return 'health';
+  if (path.startsWith('/health')) return null;
+  if (path === '/db/health' || path === '/metrics') return 'health';
+  if (/^\/(match|prompts|geo\/resolve)/.test(path)) return 'match';
+  return 'admin';
+}
+
+const AUTH_RESPONSES = {
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  429: { $ref: '#/components/responses/TooManyRequests' }
+};
+
+// Security requirement, required scope and auth error responses on every
+// protected operation
+function withAuth(paths) {
+  for (const [path, operations] of Object.entries(paths)) {
+    const scope = scopeOf(path);
+    if (!scope) continue;
+    for (const operation of Object.values(operations)) {
+      operation.security = [{ ApiKey: [] }, { Bearer: [] }];
+      operation['x-required-scope'] = scope;
+      operation.responses = { ...operation.responses, ...AUTH_RESPONSES };
+    }
+  }
+  return paths;
+}
+
+/**
+ * OpenAPI 3.1 description of the HTTP API, generated from the request schema.
+ */
+export function buildOpenApi() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'LLM Matching API',
+      version: QUERY_SCHEMA_VERSION,
+      description: 'Ranks nurse candidates for a patient request using an LLM, a rules engine, or both. When API keys are configured every route except /health needs a key with the scope in x-required-scope (admin keys have every scope).'
+    },
+    paths: withAuth({
+      '/health': {
+        get: {
+          summary: 'Liveness check (same as /health/live)',
+          responses: { 200: { description: 'Service is up' } }
+        }
+      },
+      '/health/live': {
+        get: {
+          summary: 'Liveness check',
+          responses: { 200: { description: 'Service is up' } }
+        }
+      },
+      '/health/ready': {
+        get: {
+          summary: 'Readiness: data source, roster, LLM provider and shutdown state',
+          responses: {
+            200: { description: '{ status: "ready", checks: { database, roster, llm, shutdown: "pass" | "fail" } }' },
+            503: { description: 'Not ready or shutting down; status: "not_ready"' }
+          }
+        }
+      },
+      '/health/ready/details': {
+        get: {
+          summary: 'Readiness with each check\'s status and message',
+          responses: {
+            200: { description: '{ ready: true, checks: { database, roster, llm, shutdown: { status, message, ... } } }' },
+            503: { description: 'Not ready or shutting down; same body with ready: false' }
+          }
+        }
+      },
+      '/db/health': {
+        get: {
+          summary: 'Database connectivity, record count and roster cache statistics',
+          responses: { 200: { description: 'Database status' }, 500: { description: 'Health check failed', content: json('Error') } }
+        }
+      },
+      '/metrics': {
+        get: {
+          summary: 'Prometheus metrics: requests and latency per route, LLM calls, roster loads, caches, fallbacks',
+          responses: { 200: { description: 'Text exposition format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } } }
+        }
+      },
+      '/match': {
+        post: {
+          summary: 'Rank candidates for a patient request',
+          requestBody: { required: true, content: json('MatchQuery') },
+          responses: {
+            200: { description: 'Ranked results', content: json('MatchResponse') },
+            400: { description: 'Request failed validation', content: json('ValidationError') },
+            500: { description: 'Unexpected error', content: json('Error') }
+          }
+        }
+      },
+      '/match/stream': {
+        post: {
+          summary: 'Rank candidates, streaming progress and results as Server-Sent Events',
+          description: 'Events: candidates, shortlist, llm_start, result (provisional while the model streams), fallback, done (final MatchResponse), error. POST /match with Accept: text/event-stream behaves the same.',
+          requestBody: { required: true, content: json('MatchQuery') },
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            400: { description: 'Request failed validation', content: json('ValidationError') }
+          }
+        }
+      },
+      '/match/batch': {
+        post: {
+          summary: 'Rank candidates for many requests at once',
+          requestBody: { required: true, content: json('BatchRequest') },
+          responses: {
+            200: { description: 'Per-query results and errors', content: json('BatchResponse') },
+            400: { description: 'Batch envelope failed validation', content: json('ValidationError') }
+          }
+        }
+      },
+      '/match/jobs': {
+        post: {
+          summary: 'Queue a match query and return a job id at once',
+          requestBody: { required: true, content: json('JobRequest') },
+          responses: {
+            202: { description: 'Job queued; Location points at the job', content: json('Job') },
+            400: { description: 'Request failed validation', content: json('ValidationError') },
+            503: { description: 'Job queue full; retry after Retry-After seconds', content: json('Error') }
+          }
+        },
+        get: {
+          summary: 'Job queue statistics',
+          responses: { 200: { description: 'Queue length, running jobs and counts by status' } }
+        }
+      },
+      '/match/jobs/{id}': {
+        get: {
+          summary: 'Job status, with the result once finished',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'Job', content: json('Job') },
+            404: { description: 'Unknown or expired job', content: json('Error') }
+          }
+        },
+        delete: {
+          summary: 'Cancel a queued or running job (aborts its LLM call)',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'Job after cancellation', content: json('Job') },
+            404: { description: 'Unknown or expired job', content: json('Error') }
+          }
+        }
+      },
+      '/admin/reload': {
+        post: {
+          summary: 'Drop the roster cache and reload nurses from the data source',
+          responses: { 200: { description: 'Roster reloaded' }, 500: { description: 'Reload failed', content: json('Error') } }
+        }
+      },
+      '/admin/keys': {
+        get: {
+          summary: 'API keys (without hashes) with this process\'s rate window and LLM calls today',
+          responses: { 200: { description: '{ enabled, keys: [{ id, scopes, rateLimitPerMinute, requestsThisMinute, dailyLlmQuota, llmCallsToday, ... }] }' } }
+        }
+      },
+      '/admin/keys/reload': {
+        post: {
+          summary: 'Re-read the API key store now',
+          responses: { 200: { description: '{ reloaded, enabled, count }' }, 500: { description: 'Key store unavailable', content: json('Error') } }
+        }
+      },
+      '/metrics/usage': {
+        get: {
+          summary: 'LLM tokens, estimated cost, latency and retries per day, client, prompt version and model',
+          parameters: [
+            { name: 'from', in: 'query', schema: { type: 'string', format: 'date' }, description: 'First UTC day (default 7 days ago)' },
+            { name: 'client', in: 'query', schema: { type: 'string' }, description: 'Only this API key id' }
+          ],
+          responses: {
+            200: { description: '{ since, retentionDays, totals, byDay, byClient, byPromptVersion, byModel }' },
+            400: { description: 'Invalid from', content: json('ValidationError') }
+          }
+        }
+      },
+      '/prompts': {
+        get: {
+          summary: 'Prompt templates available to promptVersion',
+          responses: {
+            200: { description: '{ count, prompts: [{ id, description, hash, default, params, variables }] }' },
+            500: { description: 'A template file is invalid', content: json('Error') }
+          }
+        }
+      },
+      '/geo/resolve': {
+        get: {
+          summary: 'Resolve a city spelling to its canonical locality and centroid',
+          parameters: [{ name: 'city', in: 'query', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: {
+              description: 'Locality',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      query: { type: 'string' },
+                      name: { type: 'string' },
+                      he: { type: ['string', 'null'] },
+                      lat: { type: 'number' },
+                      lng: { type: 'number' }
+                    }
+                  }
+                }
+              }
+            },
+            400: { description: 'Missing city', content: json('ValidationError') },
+            404: { description: 'Not in the gazetteer', content: json('Error') }
+          }
+        }
+      },
+      '/geo/unresolved': {
+        get: {
+          summary: 'Roster cities the gazetteer could not place (nurses without coordinates)',
+          responses: { 200: { description: '{ count, nurses, cities: [{ city, nurses }] }' } }
+        }
+      },
+      '/admin/ingestion': {
+        get: {
+          summary: 'Ingestion report of the last sample CSV load',
+          responses: {
+            200: { description: 'Same shape as ImportReport.ingestion, plus file and loadedAt' },
+            404: { description: 'Roster not loaded from the sample CSV', content: json('Error') }
+          }
+        }
+      },
+      '/nurses': {
+        get: {
+          summary: 'List the roster',
+          parameters: [
+            { name: 'city', in: 'query', description: 'Any spelling the gazetteer knows', schema: { type: 'string' } },
+            { name: 'status', in: 'query', schema: { type: 'string' } },
+            { name: 'service', in: 'query', description: 'Service or expertise tag', schema: { type: 'string' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } },
+            { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } }
+          ],
+          responses: {
+            200: {
+              description: 'One page of nurses',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      total: { type: 'integer' },
+                      count: { type: 'integer' },
+                      nurses: { type: 'array', items: { $ref: '#/components/schemas/Nurse' } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        post: {
+          summary: 'Create a nurse',
+          requestBody: { required: true, content: json('Nurse') },
+          responses: {
+            201: { description: 'Created', content: json('Nurse') },
+            400: { description: 'Request failed validation', content: json('ValidationError') },
+            409: { description: 'Id already exists', content: json('Error') }
+          }
+        }
+      },
+      '/nurses/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        get: {
+          summary: 'Get one nurse',
+          responses: { 200: { description: 'Nurse', content: json('Nurse') }, 404: { description: 'Unknown nurse', content: json('Error') } }
+        },
+        put: {
+          summary: 'Replace (or create) a nurse',
+          requestBody: { required: true, content: json('Nurse') },
+          responses: {
+            200: { description: 'Replaced', content: json('Nurse') },
+            201: { description: 'Created', content: json('Nurse') },
+            400: { description: 'Request failed validation', content: json('ValidationError') }
+          }
+        },
+        patch: {
+          summary: 'Update some fields of a nurse',
+          requestBody: { required: true, content: json('Nurse') },
+          responses: {
+            200: { description: 'Updated', content: json('Nurse') },
+            400: { description: 'Request failed validation', content: json('ValidationError') },
+            404: { description: 'Unknown nurse', content: json('Error') }
+          }
+        },
+        delete: {
+          summary: 'Delete a nurse',
+          responses: { 204: { description: 'Deleted' }, 404: { description: 'Unknown nurse', content: json('Error') } }
+        }
+      },
+      '/nurses/import': {
+        post: {
+          summary: 'Bulk upsert nurses from CSV or JSON',
+          parameters: [
+            { name: 'mode', in: 'query', description: 'create rejects existing ids instead of replacing them', schema: { type: 'string', enum: ['upsert', 'create'] } }
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              'text/csv': { schema: { type: 'string', description: 'Same columns as sample_data/nurses.csv' } },
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    { type: 'array', items: { $ref: '#/components/schemas/Nurse' } },
+                    { type: 'object', properties: { nurses: { type: 'array', items: { $ref: '#/components/schemas/Nurse' } } } }
+                  ]
+                }
+              }
+            }
+          },
+          responses: {
+            200: { description: 'Import report', content: json('ImportReport') },
+            400: { description: 'Unparseable body', content: json('ValidationError') }
+          }
+        }
+      },
+      '/assignments': {
+        post: {
+          summary: 'Book a nurse for a time window',
+          requestBody: { required: true, content: json('AssignmentRequest') },
+          responses: {
+            201: { description: 'Assignment created', content: json('Assignment') },
+            400: { description: 'Request failed validation', content: json('ValidationError') },
+            404: { description: 'Unknown nurse', content: json('Error') },
+            409: { description: 'Nurse already booked in an overlapping window', content: json('AssignmentConflict') }
+          }
+        },
+        get: {
+          summary: 'List assignments',
+          parameters: [
+            { name: 'nurseId', in: 'query', schema: { type: 'string' } },
+            { name: 'status', in: 'query', schema: { type: 'string', enum: ['active', 'cancelled'] } },
+            { name: 'from', in: 'query', description: 'Only assignments ending after this instant', schema: { type: 'string', format: 'date-time' } },
+            { name: 'to', in: 'query', description: 'Only assignments starting before this instant', schema: { type: 'string', format: 'date-time' } }
+          ],
+          responses: {
+            200: {
+              description: 'Matching assignments',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      count: { type: 'integer' },
+                      assignments: { type: 'array', items: { $ref: '#/components/schemas/Assignment' } }
+                    }
+                  }
+                }
+              }
+            },
+            400: { description: 'Invalid filter', content: json('ValidationError') }
+          }
+        }
+      },
+      '/assignments/{id}': {
+        delete: {
+          summary: 'Cancel an assignment (kept with status "cancelled")',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'Cancelled assignment', content: json('Assignment') },
+            404: { description: 'Unknown assignment', content: json('Error') }
+          }
+        }
+      }
+    }),
+    components: {
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        Bearer: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token' }
+      },
+      responses: {
+        Unauthorized: { description: 'Missing, unknown, disabled or expired API key', content: json('Error') },
+        Forbidden: { description: 'The key lacks the required scope', content: json('Error') },
+        TooManyRequests: {
+          description: 'Per-minute rate limit or daily LLM quota exceeded; retry after Retry-After seconds',
+          headers: {
+            'Retry-After': { schema: { type: 'integer' } },
+            'X-RateLimit-Limit': { schema: { type: 'integer' } },
+            'X-RateLimit-Remaining': { schema: { type: 'integer' } }
+          },
+          content: json('Error')
+        }
+      },
+      schemas: {
+        MatchQuery: MATCH_QUERY_SCHEMA,
+        MatchResponse: MATCH_RESPONSE_SCHEMA,
+        BatchRequest: BATCH_SCHEMA,
+        BatchResponse: BATCH_RESPONSE_SCHEMA,
+        JobRequest: JOB_REQUEST_SCHEMA,
+        Job: JOB_SCHEMA,
+        Nurse: NURSE_SCHEMA,
+        ImportReport: IMPORT_REPORT_SCHEMA,
+        AssignmentRequest: ASSIGNMENT_SCHEMA,
+        Assignment: ASSIGNMENT_RECORD_SCHEMA,
+        AssignmentConflict: ASSIGNMENT_CONFLICT_SCHEMA,
+        ValidationError: VALIDATION_ERROR_SCHEMA,
+        Error: ERROR_SCHEMA
+      }
+    }
+  };
+}
@@ -0,0 +1,111 @@
+import { log } from './log.js';
+
+// What leaves the process in an LLM prompt. Candidates are sent under
+// per-request pseudonyms ("nurse-1", "nurse-2", ... in shortlist order) with
+// only allow-listed fields, so names, real ids and any free-text or contact
+// fields on the record (notes, phone, email, address, ...) never reach the
+// provider. Coordinates, the nurse's and the patient's, are rounded to
+// LLM_COORD_DECIMALS places (2 = about 1 km). The model answers with
+// pseudonyms and remapResults() turns them back into roster ids.
+
+// Candidate fields that may be sent, with LLM_FIELD_ALLOWLIST choosing among
+// them. `id` is never on the list: it is always replaced by a pseudonym.
+export const CANDIDATE_FIELDS = [
+  'name', 'city', 'lat', 'lng', 'rating', 'reviewsCount', 'services', 'expertiseTags',
+  'gender', 'languages', 'mobility', 'hourlyRate', 'availability'
+];
+
+const DEFAULT_ALLOWLIST = CANDIDATE_FIELDS.filter(f => f !== 'name');
+
+function allowlistFromEnv(value) {
+  if (!value) return DEFAULT_ALLOWLIST;
+  const fields = value.split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = fields.filter(f => !CANDIDATE_FIELDS.includes(f));
+  if (unknown.length) {
+    log.warn('LLM_FIELD_ALLOWLIST: ignoring unknown fields', { unknown, allowed: CANDIDATE_FIELDS });
+  }
+  return fields.filter(f => CANDIDATE_FIELDS.includes(f));
+}
+
+export const FIELD_ALLOWLIST = allowlistFromEnv(process.env.LLM_FIELD_ALLOWLIST);
+const COORD_DECIMALS = Number(process.env.LLM_COORD_DECIMALS ?? 2);
+
+// Keys whose values are replaced in logs: identities, contact details and
+// patient location
+const LOG_REDACTED_KEYS = new Set([
+  'name', 'patientRef', 'note', 'notes', 'phone', 'email', 'address',
+  'city', 'lat', 'lng', 'location'
+]);
+
+export function coarsen(value) {
+  if (value == null || !Number.isFinite(Number(value))) return null;
+  const factor = 10 ** COORD_DECIMALS;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+/**
+ * Allow-listed fields of a nurse record, coordinates coarsened.
+ */
+export function allowedFields(nurse) {
+  const out = {};
+  for (const field of FIELD_ALLOWLIST) {
+    if (nurse[field] === undefined) continue;
+    out[field] = field === 'lat' || field === 'lng' ? coarsen(nurse[field]) : nurse[field];
+  }
+  return out;
+}
+
+/**
+ * Per-request pseudonyms for `candidates`. The mapping lives only as long as
+ * the returned object:
+ *   aliasOf(nurse) -> "nurse-3"
+ *   nurseOf(alias) -> nurse | undefined
+ *   aliases        -> every pseudonym, in candidate order
+ */
+export function pseudonymize(candidates) {
+  const byAlias = new Map();
+  const byId = new Map();
+  candidates.forEach((nurse, i) => {
+    const alias = `nurse-${i + 1}`;
+    byAlias.set(alias, nurse);
+    byId.set(nurse.id, alias);
+  });
+  return {
+    aliases: [...byAlias.keys()],
+    aliasOf: (nurse) => byId.get(nurse.id),
+    nurseOf: (alias) => byAlias.get(String(alias))
+  };
+}
+
+/**
+ * Map the model's pseudonymous results back to roster ids and names.
+ * Pseudonyms the model quotes in a reason ("closer than nurse-2") become that
+ * nurse's name.
+ */
+export function remapResults(results, pseudonyms) {
+  const named = (text) => String(text ?? '').replace(/\bnurse-\d+\b/g, alias => pseudonyms.nurseOf(alias)?.name ?? alias);
+  return results
+    .filter(r => pseudonyms.nurseOf(r.id))
+    .map(r => {
+      const nurse = pseudonyms.nurseOf(r.id);
+      return { ...r, id: nurse.id, name: nurse.name || nurse.id, reason: named(r.reason) };
+    });
+}
+
+function redactValue(value) {
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+      [key, LOG_REDACTED_KEYS.has(key) && v != null ? '[redacted]' : redactValue(v)]));
+  }
+  return value;
+}
+
+/**
+ * Log-safe JSON of a prompt payload or request: identities, contact details
+ * and locations replaced, truncated to 500 characters.
+ */
+export function redactForLog(value) {
+  const text = JSON.stringify(redactValue(value)) ?? '';
+  return text.length > 500 ? `${text.slice(0, 500)}...[truncated]` : text;
+}
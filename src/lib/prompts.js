@@ -0,0 +1,154 @@
+import { promises as fs } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { hashOf } from './cache.js';
+
+// Prompt templates for the LLM ranking call, one JSON file per version in
+// PROMPTS_DIR (see prompts/match-v2.json):
+//
+//   { id, description, params: { temperature, top_p, maxTokens }, system, user, repair }
+//
+// system/user/repair are strings or arrays of lines with {{variable}}
+// placeholders. maxTokens is a number or { base, perResult, max }, so the
+// output budget grows with topK. Edit a template in place and the content
+// hash changes (and with it the LLM cache key); publish a new file with a new
+// id for changes you want to compare or roll back.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const PROMPTS_DIR = process.env.PROMPTS_DIR ||
+  join(__dirname, '..', '..', 'prompts');
+
+export const DEFAULT_PROMPT_VERSION = process.env.PROMPT_VERSION || 'match-v2';
+
+const ORGANIZATION = process.env.PROMPT_ORGANIZATION || 'WonderCare';
+
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const PARTS = ['system', 'user', 'repair'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.field = 'promptVersion';
+  return err;
+}
+
+function text(part) {
+  return Array.isArray(part) ? part.join('\n') : part;
+}
+
+function checkTemplate(template, file) {
+  const problems = [];
+  if (!VERSION_PATTERN.test(template?.id ?? '')) problems.push('id must be a simple version string');
+  for (const part of PARTS) {
+    const value = template?.[part];
+    const ok = typeof value === 'string' ||
+      (Array.isArray(value) && value.every(line => typeof line === 'string'));
+    if (!ok) problems.push(`${part} must be a string or an array of lines`);
+  }
+  const maxTokens = template?.params?.maxTokens;
+  if (maxTokens != null && typeof maxTokens !== 'number' &&
+      !(typeof maxTokens === 'object' && Number.isFinite(maxTokens.perResult))) {
+    problems.push('params.maxTokens must be a number or { base, perResult, max }');
+  }
+  if (problems.length) {
+    throw new Error(`Invalid prompt template ${file}: ${problems.join('; ')}`);
+  }
+}
+
+let cached = null; // { key, templates: Map(id -> template) }
+
+// The directory listing plus every file's mtime; any edit reloads all templates
+async function dirState() {
+  const files = (await fs.readdir(PROMPTS_DIR)).filter(f => f.endsWith('.json')).sort();
+  const stats = await Promise.all(files.map(f => fs.stat(join(PROMPTS_DIR, f))));
+  return { files, key: files.map((f, i) => `${f}:${stats[i].mtimeMs}`).join('|') };
+}
+
+async function loadTemplates() {
+  const { files, key } = await dirState();
+  if (cached?.key === key) return cached.templates;
+
+  const templates = new Map();
+  for (const file of files) {
+    const raw = JSON.parse(await fs.readFile(join(PROMPTS_DIR, file), 'utf8'));
+    checkTemplate(raw, file);
+    if (templates.has(raw.id)) throw new Error(`Duplicate prompt template id "${raw.id}" in ${file}`);
+    templates.set(raw.id, {
+      id: raw.id,
+      description: raw.description ?? null,
+      file,
+      params: raw.params || {},
+      system: text(raw.system),
+      user: text(raw.user),
+      repair: text(raw.repair),
+      hash: hashOf(raw).slice(0, 12)
+    });
+  }
+  cached = { key, templates };
+  return templates;
+}
+
+/**
+ * The template for `version` (default PROMPT_VERSION). Throws err.status =
+ * 400 (field promptVersion) for an unknown version.
+ */
+export async function loadPromptTemplate(version = DEFAULT_PROMPT_VERSION) {
+  const templates = await loadTemplates();
+  const template = templates.get(version);
+  if (!template) {
+    throw badRequest(`unknown prompt version "${version}" (available: ${[...templates.keys()].join(', ')})`);
+  }
+  return template;
+}
+
+/**
+ * Summary of every template for GET /prompts.
+ */
+export async function listPromptTemplates() {
+  const templates = await loadTemplates();
+  return [...templates.values()].map(t => ({
+    id: t.id,
+    description: t.description,
+    hash: t.hash,
+    default: t.id === DEFAULT_PROMPT_VERSION,
+    params: t.params,
+    variables: [...new Set([...`${t.system}\n${t.user}\n${t.repair}`.matchAll(PLACEHOLDER)].map(m => m[1]))]
+  }));
+}
+
+/**
+ * Substitute {{variable}} placeholders. `organization` is always available;
+ * a placeholder with no value is an error rather than a silently broken prompt.
+ */
+export function renderPrompt(source, vars) {
+  const values = { organization: ORGANIZATION, ...vars };
+  return source.replace(PLACEHOLDER, (_, name) => {
+    if (values[name] === undefined) throw new Error(`Prompt variable {{${name}}} has no value`);
+    return String(values[name]);
+  });
+}
+
+/**
+ * Model parameters for one call: temperature and top_p as configured, and
+ * max_tokens from a fixed number or base + perResult * topK, capped at max.
+ */
+export function promptParams(template, { topK }) {
+  const { temperature = 0.2, top_p = 0.9, maxTokens } = template.params;
+  let max_tokens;
+  if (typeof maxTokens === 'number') {
+    max_tokens = maxTokens;
+  } else {
+    const { base = 64, perResult = 80, max = 4096 } = maxTokens || {};
+    max_tokens = Math.min(max, Math.ceil(base + perResult * topK));
+  }
+  return { temperature, top_p, max_tokens };
+}
+
+/**
+ * "<id>@<hash>": names the exact template text a response was produced with.
+ */
+export function promptRef(template) {
+  return `${template.id}@${template.hash}`;
+}
@@ -0,0 +1,107 @@
+import { azureRespond } from '../clients/azure.js';
+import { openaiRespond } from '../clients/openai.js';
+import { responsesRespond } from '../clients/responses.js';
+
+// LLM provider layer. Every provider exposes the same interface:
+//   name                      - id used in LLM_PROVIDER
+//   isConfigured()            - true when the env has what respond() needs
+//   describe()                - log-safe description (host + model, no keys)
+//   model                     - configured model or deployment name, or null
+//   supportsJsonSchema        - accepts `jsonSchema` for structured output
+//   supportsStreaming         - calls `onToken(delta)` while the answer streams in
+//   respond({ messages, temperature, top_p, max_tokens, jsonSchema, abortSignal, onToken })
+//                             -> { ok, text, raw, status, attempts } | { ok: false, error, status, attempts }
+//                                (providers without streaming ignore onToken)
+// Retry/backoff lives in clients/http.js so all providers behave the same.
+
+export const PROVIDER_NAMES = ['azure-chat', 'responses', 'openai'];
+
+function hostOf(uri) {
+  try { return new URL(uri).hostname; } catch { return 'invalid-uri'; }
+}
+
+function azureChatUri(env) {
+  if (env.AZURE_OPENAI_URI) return env.AZURE_OPENAI_URI;
+  if (env.AZURE_OPENAI_RESOURCE_HOST && env.AZURE_OPENAI_DEPLOYMENT && env.AZURE_OPENAI_API_VERSION) {
+    return `${env.AZURE_OPENAI_RESOURCE_HOST}/openai/deployments/${env.AZURE_OPENAI_DEPLOYMENT}/chat/completions?api-version=${env.AZURE_OPENAI_API_VERSION}`;
+  }
+  return null;
+}
+
+function azureChatProvider(env) {
+  const uri = azureChatUri(env);
+  return {
+    name: 'azure-chat',
+    model: env.AZURE_OPENAI_DEPLOYMENT || null,
+    supportsJsonSchema: true,
+    supportsStreaming: true,
+    isConfigured: () => Boolean(uri && env.AZURE_OPENAI_KEY),
+    describe: () => `Azure Chat Completions at ${hostOf(uri)} (deployment: ${env.AZURE_OPENAI_DEPLOYMENT || 'auto'})`,
+    respond: (opts) => azureRespond({ uri, apiKey: env.AZURE_OPENAI_KEY, ...opts })
+  };
+}
+
+// Azure Responses API when AZURE_OPENAI_URI points at it, otherwise OpenAI's
+function responsesProvider(env) {
+  const azure = Boolean(env.AZURE_OPENAI_URI);
+  const uri = azure
+    ? env.AZURE_OPENAI_URI
+    : `${(env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')}/responses`;
+  const apiKey = azure ? env.AZURE_OPENAI_KEY : env.OPENAI_API_KEY;
+  const model = env.LLM_MODEL || env.AZURE_OPENAI_DEPLOYMENT;
+  return {
+    name: 'responses',
+    model: model || null,
+    supportsJsonSchema: true,
+    supportsStreaming: false,
+    isConfigured: () => Boolean(apiKey && (azure || model)),
+    describe: () => `${azure ? 'Azure' : 'OpenAI'} Responses API at ${hostOf(uri)} (model: ${model || 'auto'})`,
+    respond: (opts) => responsesRespond({ uri, apiKey, auth: azure ? 'api-key' : 'bearer', model, ...opts })
+  };
+}
+
+// Any OpenAI-compatible chat endpoint, including local servers without a key
+function openaiProvider(env) {
+  const baseUrl = env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+  const isLocal = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])/.test(baseUrl);
+  return {
+    name: 'openai',
+    model: env.LLM_MODEL || null,
+    // Most local servers understand response_format; opt out for those that do not
+    supportsJsonSchema: env.OPENAI_JSON_SCHEMA !== 'false',
+    supportsStreaming: true,
+    isConfigured: () => Boolean(env.LLM_MODEL && (env.OPENAI_API_KEY || isLocal)),
+    describe: () => `OpenAI-compatible endpoint at ${hostOf(baseUrl)} (model: ${env.LLM_MODEL || 'unset'})`,
+    respond: (opts) => openaiRespond({ baseUrl, apiKey: env.OPENAI_API_KEY, model: env.LLM_MODEL, ...opts })
+  };
+}
+
+const FACTORIES = {
+  'azure-chat': azureChatProvider,
+  responses: responsesProvider,
+  openai: openaiProvider
+};
+
+/**
+ * Resolve the provider from LLM_PROVIDER. When unset, an AZURE_OPENAI_URI
+ * pointing at /openai/responses selects the Responses API, otherwise Azure Chat.
+ */
+export function getProvider(env = process.env) {
+  let name = env.LLM_PROVIDER;
+  if (!name) {
+    name = /\/responses(\?|$)/.test(env.AZURE_OPENAI_URI || '') ? 'responses' : 'azure-chat';
+  }
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of ${PROVIDER_NAMES.join(', ')})`);
+  }
+  return factory(env);
+}
+
+export function isLlmConfigured() {
+  try {
+    return getProvider().isConfigured();
+  } catch {
+    return false;
+  }
+}
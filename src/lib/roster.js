@@ -0,0 +1,172 @@
+import { watch } from 'fs';
+import { basename, dirname, resolve } from 'path';
+import { loadNurses, rosterSourceFiles } from '../db.js';
+import { counter, gauge } from './metrics.js';
+import { asList, norm, termMatches } from './rules.js';
+
+// In-memory roster cache. loadNurses() re-parses the CSV or queries the whole
+// table, so /match and friends read through getRoster() instead. Entries
+// expire after ROSTER_CACHE_TTL_MS, when a watched source file changes, when
+// the /nurses API writes, or on POST /admin/reload.
+
+const TTL_MS = Number(process.env.ROSTER_CACHE_TTL_MS ?? 60_000);
+
+let cached = null;      // { nurses, index, loadedAt, loadMs }
+let loading = null;     // in-flight load shared by concurrent callers
+let generation = 0;     // bumped on invalidation so stale loads are not stored
+const watchers = new Map();
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  reloads: 0,
+  invalidations: 0,
+  lastInvalidation: null
+};
+
+counter('roster_cache_lookups_total', 'Roster reads served from memory (hit) or loaded from the source (miss)', ['result'], {
+  collect: () => [[{ result: 'hit' }, stats.hits], [{ result: 'miss' }, stats.misses]]
+});
+gauge('roster_nurses', 'Nurses in the cached roster (0 when not loaded)', [], {
+  collect: () => [[{}, cached?.nurses.length ?? 0]]
+});
+
+function addTo(map, key, nurse) {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(nurse);
+}
+
+/**
+ * Lookup tables over a roster: by id, and by normalized city, service and
+ * expertise tag (each value lists nurses in roster order).
+ */
+export function buildRosterIndex(nurses) {
+  const index = {
+    byId: new Map(),
+    byCity: new Map(),
+    byService: new Map(),
+    byExpertise: new Map()
+  };
+  for (const nurse of nurses) {
+    index.byId.set(nurse.id, nurse);
+    addTo(index.byCity, norm(nurse.city), nurse);
+    for (const s of new Set(asList(nurse.services))) addTo(index.byService, s, nurse);
+    for (const t of new Set(asList(nurse.expertiseTags))) addTo(index.byExpertise, t, nurse);
+  }
+  return index;
+}
+
+/**
+ * Nurses offering any of the (normalized) terms as a service or expertise tag,
+ * using the same loose matching as the rules engine. Returns a Set.
+ */
+export function nursesOffering(index, terms) {
+  const found = new Set();
+  for (const map of [index.byService, index.byExpertise]) {
+    for (const [key, nurses] of map) {
+      if (terms.some(t => termMatches(t, [key]))) nurses.forEach(n => found.add(n));
+    }
+  }
+  return found;
+}
+
+export function invalidateRoster(reason = 'manual') {
+  generation++;
+  cached = null;
+  stats.invalidations++;
+  stats.lastInvalidation = { reason, at: new Date().toISOString() };
+}
+
+// Watch the directories holding the source files (editors often replace files
+// rather than write them in place, which a file watch would miss)
+function watchSources() {
+  const files = rosterSourceFiles().map(f => resolve(f));
+  const byDir = new Map();
+  for (const file of files) {
+    if (!byDir.has(dirname(file))) byDir.set(dirname(file), new Set());
+    byDir.get(dirname(file)).add(basename(file));
+  }
+  for (const [dir, names] of byDir) {
+    if (watchers.has(dir)) continue;
+    try {
+      const watcher = watch(dir, (_event, filename) => {
+        if (filename && names.has(String(filename))) invalidateRoster(`${filename} changed`);
+      });
+      watcher.on('error', () => watchers.delete(dir));
+      watcher.unref();
+      watchers.set(dir, watcher);
+    } catch {
+      // Directory does not exist yet (e.g. data/ before the first write)
+    }
+  }
+}
+
+async function load() {
+  const startedGeneration = generation;
+  const started = Date.now();
+  const nurses = await loadNurses();
+  const entry = {
+    nurses,
+    index: buildRosterIndex(nurses),
+    loadedAt: Date.now(),
+    loadMs: Date.now() - started
+  };
+  if (startedGeneration === generation && TTL_MS > 0) cached = entry;
+  watchSources();
+  return entry;
+}
+
+/**
+ * The current roster: { nurses, index, loadedAt, loadMs }. Served from memory
+ * while fresh; concurrent misses share one load.
+ */
+export async function getRoster() {
+  if (cached && Date.now() - cached.loadedAt < TTL_MS) {
+    stats.hits++;
+    return cached;
+  }
+  stats.misses++;
+  if (!loading) {
+    loading = load().finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+/**
+ * Drop the cache and load the roster again now.
+ */
+export async function reloadRoster() {
+  invalidateRoster('reload requested');
+  stats.reloads++;
+  await loading?.catch(() => {});
+  loading = load().finally(() => { loading = null; });
+  return loading;
+}
+
+/**
+ * Changes whenever the roster is invalidated (source file change, /nurses
+ * write, reload). Part of the LLM cache key.
+ */
+export function rosterVersion() {
+  return generation;
+}
+
+export function rosterStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: TTL_MS > 0,
+    ttlMs: TTL_MS,
+    size: cached?.nurses.length ?? 0,
+    loadedAt: cached ? new Date(cached.loadedAt).toISOString() : null,
+    ageMs: cached ? Date.now() - cached.loadedAt : null,
+    lastLoadMs: cached?.loadMs ?? null,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null,
+    reloads: stats.reloads,
+    invalidations: stats.invalidations,
+    lastInvalidation: stats.lastInvalidation,
+    watching: [...watchers.keys()]
+  };
+}
@@ -0,0 +1,198 @@
+import { haversineKm } from './geo.js';
+import { nurseCoverage } from './availability.js';
+import { preferenceScore } from './constraints.js';
+
+// Deterministic heuristic matcher. Used for the shortlist ranking, as a
+// standalone `mode: "rules"` engine, and as the fallback when the LLM is not
+// configured or fails.
+
+export const DEFAULT_WEIGHTS = {
+  services: 0.3,
+  expertise: 0.15,
+  distance: 0.2,
+  availability: 0.2,
+  rating: 0.1,
+  reviews: 0.05,
+  // Only counts when the query has soft `preferences`
+  preferences: 0.15
+};
+
+// Urgent requests care more about who can get there and when
+const URGENCY_BOOST = { distance: 1.5, availability: 1.5 };
+
+// Score multiplier for nurses already booked in the window (booked: "penalize")
+export const BOOKED_PENALTY = 0.5;
+
+// Review counts above this no longer add confidence
+const REVIEWS_SATURATION = 200;
+
+export function norm(s) {
+  return String(s ?? '').trim().toLowerCase();
+}
+
+export function asList(v) {
+  if (v == null) return [];
+  return (Array.isArray(v) ? v : [v]).map(norm).filter(Boolean);
+}
+
+// Loose match so "Wound Care" hits "Wound Care" and "Complex Wound Care"
+export function termMatches(wanted, offered) {
+  return offered.some(o => o === wanted || o.includes(wanted) || wanted.includes(o));
+}
+
+export function requestedServices(query) {
+  return asList(query.servicesQuery ?? (query.service ? [query.service] : []));
+}
+
+export function queryOrigin(query) {
+  if (query.lat == null || query.lng == null) return null;
+  return { lat: Number(query.lat), lng: Number(query.lng) };
+}
+
+/**
+ * Merge per-request weight overrides and apply the urgency boost.
+ */
+export function effectiveWeights(query, overrides) {
+  const weights = { ...DEFAULT_WEIGHTS, ...(overrides || {}) };
+  if (query.urgent) {
+    for (const [key, factor] of Object.entries(URGENCY_BOOST)) {
+      weights[key] = (weights[key] || 0) * factor;
+    }
+  }
+  return weights;
+}
+
+/**
+ * Per-criterion scores in 0..1 (null when the criterion does not apply to this
+ * query, e.g. no location given).
+ */
+export function criterionScores(query, nurse, { radiusKm } = {}) {
+  const services = requestedServices(query);
+  const expertise = asList(query.expertiseQuery);
+  const offeredServices = asList(nurse.services);
+  const offeredTags = asList(nurse.expertiseTags);
+
+  const o = queryOrigin(query);
+  const distanceKm = o ? haversineKm(o, nurse) : null;
+  const scaleKm = radiusKm || 50;
+
+  const windowCoverage = nurseCoverage(nurse, query.start, query.end);
+  const rating = Number(nurse.rating);
+  const reviews = Number(nurse.reviewsCount ?? nurse.reviews);
+
+  return {
+    services: services.length
+      ? services.filter(s => termMatches(s, offeredServices)).length / services.length
+      : null,
+    expertise: expertise.length
+      ? expertise.filter(e => termMatches(e, offeredTags)).length / expertise.length
+      : null,
+    distance: distanceKm == null ? null : Math.max(0, 1 - distanceKm / scaleKm),
+    // Unknown availability is neither rewarded nor ruled out
+    availability: windowCoverage ?? (query.start && query.end ? 0.5 : null),
+    rating: Number.isFinite(rating) ? Math.min(1, Math.max(0, (rating - 3) / 2)) : null,
+    reviews: Number.isFinite(reviews)
+      ? Math.min(1, Math.log1p(reviews) / Math.log1p(REVIEWS_SATURATION))
+      : null,
+    preferences: preferenceScore(nurse, query.preferences, o),
+    distanceKm,
+    coverage: windowCoverage
+  };
+}
+
+export function weightedScore(scores, weights) {
+  let total = 0;
+  let weightSum = 0;
+  for (const [key, w] of Object.entries(weights)) {
+    if (scores[key] == null || !w) continue;
+    total += w * scores[key];
+    weightSum += w;
+  }
+  return weightSum ? total / weightSum : 0;
+}
+
+const round = (v, digits = 3) => (v == null ? null : Number(v.toFixed(digits)));
+
+/**
+ * Structured, deterministic account of how a nurse fits a query, attached to
+ * every result whichever engine ranked it. Sub-scores are 0..1 (null when the
+ * criterion does not apply); `urgency` is how well distance and availability
+ * serve an urgent request; `matched`/`missing` split the requested services
+ * by whether the nurse offers them.
+ */
+export function scoreBreakdown(query, nurse, { weights, radiusKm, booked = false } = {}) {
+  const scores = criterionScores(query, nurse, { radiusKm });
+  const offered = asList(nurse.services);
+  const requested = query.servicesQuery ?? (query.service ? [query.service] : []);
+  const urgentScores = [scores.distance, scores.availability].filter(v => v != null);
+
+  return {
+    services: round(scores.services),
+    expertise: round(scores.expertise),
+    distanceKm: round(scores.distanceKm, 1),
+    distance: round(scores.distance),
+    availability: round(scores.coverage),
+    rating: round(scores.rating),
+    reviews: round(scores.reviews),
+    preferences: round(scores.preferences),
+    urgency: query.urgent && urgentScores.length
+      ? round(urgentScores.reduce((a, b) => a + b, 0) / urgentScores.length)
+      : null,
+    rulesScore: round(weightedScore(scores, effectiveWeights(query, weights)) * (booked ? BOOKED_PENALTY : 1), 4),
+    booked,
+    matched: requested.filter(s => termMatches(norm(s), offered)),
+    missing: requested.filter(s => norm(s) && !termMatches(norm(s), offered))
+  };
+}
+
+function explain(query, nurse, scores, booked) {
+  const parts = [];
+  if (booked) parts.push('already booked in requested window');
+  if (scores.services != null) {
+    parts.push(`services ${Math.round(scores.services * 100)}% match`);
+  }
+  if (scores.expertise != null) {
+    parts.push(`expertise ${Math.round(scores.expertise * 100)}% match`);
+  }
+  if (scores.distanceKm != null) {
+    parts.push(`${scores.distanceKm.toFixed(1)} km away (${nurse.city || 'unknown city'})`);
+  } else if (nurse.city) {
+    parts.push(`based in ${nurse.city}`);
+  }
+  if (scores.coverage != null) {
+    parts.push(`covers ${Math.round(scores.coverage * 100)}% of requested window`);
+  }
+  if (Number.isFinite(Number(nurse.rating))) {
+    parts.push(`rating ${Number(nurse.rating).toFixed(1)} (${nurse.reviewsCount ?? nurse.reviews ?? 0} reviews)`);
+  }
+  if (scores.preferences != null) {
+    parts.push(`meets ${Math.round(scores.preferences * 100)}% of preferences`);
+  }
+  if (query.urgent) parts.push('urgent: proximity and availability weighted up');
+  return `Rules match: ${parts.join(', ')}`;
+}
+
+/**
+ * Rank candidates purely on the heuristics above. Same result shape as
+ * llmMatch: [{ id, name, score, reason }], best first, topK long.
+ * Nurses in `bookedIds` (a Set) are scored down by BOOKED_PENALTY.
+ */
+export function rulesMatch(query, candidates, { weights, radiusKm, bookedIds } = {}) {
+  const w = effectiveWeights(query, weights);
+  const topK = Number(query.topK) || 5;
+  return candidates
+    .map(nurse => {
+      const scores = criterionScores(query, nurse, { radiusKm });
+      const booked = Boolean(bookedIds?.has(nurse.id));
+      const score = weightedScore(scores, w) * (booked ? BOOKED_PENALTY : 1);
+      return { nurse, scores, score, booked };
+    })
+    .sort((a, b) => b.score - a.score || String(a.nurse.id).localeCompare(String(b.nurse.id)))
+    .slice(0, topK)
+    .map(({ nurse, scores, score, booked }) => ({
+      id: nurse.id,
+      name: nurse.name,
+      score: Number(score.toFixed(4)),
+      reason: explain(query, nurse, scores, booked)
+    }));
+}
@@ -0,0 +1,418 @@
+// Versioned request schema for POST /match. The same object drives request
+// validation here and the OpenAPI document served at /docs/openapi.json, so
+// the docs cannot drift from what the server actually accepts.
+
+export const QUERY_SCHEMA_VERSION = '1.0.0';
+
+const dateTime = { type: 'string', format: 'date-time' };
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 20 };
+const weight = { type: 'number', minimum: 0, maximum: 10 };
+
+// Shared by hard `constraints` and soft `preferences` (see constraints.js)
+const nurseRequirements = (description) => ({
+  type: 'object',
+  additionalProperties: false,
+  description,
+  properties: {
+    gender: { type: 'string', enum: ['female', 'male'] },
+    languages: { ...stringList, description: 'Any one of these (ISO code or name, e.g. "ru" or "Russian")' },
+    mobility: {
+      type: 'string',
+      enum: ['INDEPENDENT', 'WALKING_CANE', 'WALKER', 'WHEELCHAIR', 'BEDRIDDEN'],
+      description: 'Patient mobility the nurse must handle'
+    },
+    maxDistanceKm: { type: 'number', exclusiveMinimum: 0, maximum: 500, description: 'Requires lat/lng or city' },
+    maxHourlyRate: { type: 'number', exclusiveMinimum: 0 }
+  }
+});
+
+export const MATCH_QUERY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    schemaVersion: {
+      type: 'string',
+      description: `Query schema version the client was written against (current: ${QUERY_SCHEMA_VERSION}). Only the major version must match.`
+    },
+    city: { type: 'string', maxLength: 100, description: 'Patient city, any common spelling (English, Hebrew, transliterated); its centre is used when lat/lng are not given' },
+    service: { type: 'string', minLength: 1, description: 'Single requested service (shorthand for servicesQuery)' },
+    servicesQuery: { ...stringList, description: 'Requested services' },
+    expertiseQuery: { ...stringList, description: 'Requested expertise tags' },
+    start: { ...dateTime, description: 'Start of the requested time window (ISO 8601)' },
+    end: { ...dateTime, description: 'End of the requested time window (ISO 8601)' },
+    timeWindow: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['start', 'end'],
+      description: 'Alternative to top-level start/end',
+      properties: { start: dateTime, end: dateTime }
+    },
+    lat: { type: 'number', minimum: -90, maximum: 90, description: 'Patient latitude' },
+    lng: { type: 'number', minimum: -180, maximum: 180, description: 'Patient longitude' },
+    location: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['lat', 'lng'],
+      description: 'Alternative to top-level lat/lng',
+      properties: {
+        lat: { type: 'number', minimum: -90, maximum: 90 },
+        lng: { type: 'number', minimum: -180, maximum: 180 }
+      }
+    },
+    urgent: { type: 'boolean', default: false },
+    topK: { type: 'integer', minimum: 1, maximum: 50, default: 5, description: 'Number of results to return' },
+    mode: { type: 'string', enum: ['llm', 'rules', 'hybrid'], description: 'Ranking engine (default llm)' },
+    shortlistSize: { type: 'integer', minimum: 1, maximum: 50, description: 'Candidates passed to the LLM (default 10)' },
+    radiusKm: { type: 'number', exclusiveMinimum: 0, maximum: 500, description: 'Drop candidates farther than this from lat/lng (or the city centre), and those with no known location' },
+    minCoverage: {
+      type: 'number',
+      minimum: 0,
+      maximum: 1,
+      description: 'Share of the start/end window a nurse must be available for (default: any overlap)'
+    },
+    booked: {
+      type: 'string',
+      enum: ['exclude', 'penalize', 'ignore'],
+      description: 'How to treat nurses already assigned in the start/end window (default exclude)'
+    },
+    cache: {
+      type: 'string',
+      enum: ['use', 'refresh', 'bypass'],
+      description: 'LLM response cache: use (default), refresh (skip lookup, store the new answer) or bypass'
+    },
+    promptVersion: {
+      type: 'string',
+      pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$',
+      maxLength: 64,
+      description: 'Prompt template id for llm/hybrid (default PROMPT_VERSION); see GET /prompts'
+    },
+    constraints: nurseRequirements(
+      'Hard requirements enforced in code before and after ranking; nurses whose record lacks the field are excluded'
+    ),
+    preferences: nurseRequirements('Soft versions of the constraints; they only affect ranking'),
+    weights: {
+      type: 'object',
+      additionalProperties: false,
+      description: 'Per-criterion weight overrides for shortlist and rules scoring',
+      properties: {
+        services: weight,
+        expertise: weight,
+        distance: weight,
+        availability: weight,
+        rating: weight,
+        reviews: weight,
+        preferences: weight
+      }
+    }
+  }
+};
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some(t => matchesType(value, t));
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validates the subset of JSON Schema used above; pushes { field, message }
+function check(schema, value, path, errors) {
+  const field = path || '(body)';
+  if (!matchesType(value, schema.type)) {
+    const types = [].concat(schema.type).map(t => `${/^[aeiou]/.test(t) ? 'an' : 'a'} ${t}`);
+    const list = types.length > 1 ? `${types.slice(0, -1).join(', ')} or ${types.at(-1)}` : types[0];
+    errors.push({ field, message: `must be ${list}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ field, message: `must not be empty` });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.format === 'date-time' && (!ISO_DATE_TIME.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors.push({ field, message: 'must be an ISO 8601 date-time' });
+    }
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push({ field, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (schema.type === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (!props[key]) {
+        if (schema.additionalProperties === false) {
+          errors.push({ field: childPath, message: 'is not a recognised field' });
+        }
+        continue;
+      }
+      if (v === undefined) continue;
+      check(props[key], v, childPath, errors);
+    }
+  }
+}
+
+export const ASSIGNMENT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['nurseId', 'start', 'end'],
+  properties: {
+    nurseId: { type: 'string', minLength: 1 },
+    start: dateTime,
+    end: dateTime,
+    patientRef: { type: 'string', maxLength: 100, description: 'Opaque patient/request reference (no PII)' },
+    note: { type: 'string', maxLength: 500 }
+  }
+};
+
+export const NURSE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name'],
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 100, description: 'Generated when omitted' },
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    services: { ...stringList, maxItems: 50 },
+    expertiseTags: { ...stringList, maxItems: 50 },
+    availability: {
+      type: ['object', 'array', 'string', 'null'],
+      description: 'Weekly schedule, { from, to } range, free-text slots or the normalized availability model'
+    },
+    city: { type: 'string', maxLength: 100 },
+    state: { type: 'string', maxLength: 50 },
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lng: { type: 'number', minimum: -180, maximum: 180 },
+    gender: { type: 'string', maxLength: 20 },
+    mobility: { type: 'string', maxLength: 50 },
+    languages: { ...stringList },
+    hourlyRate: { type: 'number', minimum: 0 },
+    rating: { type: 'number', minimum: 0, maximum: 5 },
+    reviewsCount: { type: 'integer', minimum: 0 },
+    reviews: { type: 'integer', minimum: 0, description: 'Alias of reviewsCount used by the database backends' },
+    status: { type: 'string', maxLength: 50, description: 'INACTIVE, SUSPENDED and DELETED keep a nurse out of matching' },
+    active: { type: 'boolean' }
+  }
+};
+
+/**
+ * Validate a body against one of the schemas above.
+ * Returns [{ field, message }] (empty when valid).
+ */
+export function validateBody(schema, body) {
+  const errors = [];
+  if (body == null || typeOf(body) !== 'object') {
+    return [{ field: '(body)', message: 'must be a JSON object' }];
+  }
+  check(schema, body, '', errors);
+  // Every schema with a start/end pair wants them in order
+  if (body.start && body.end && Date.parse(body.end) <= Date.parse(body.start)) {
+    errors.push({ field: 'end', message: 'must be after start' });
+  }
+  return errors;
+}
+
+// Pick the nested/alternate form when the top-level one is absent; flag conflicts
+function merge(body, errors, topKey, nested, nestedKey) {
+  const top = body[topKey];
+  const alt = body[nested]?.[nestedKey];
+  if (top !== undefined && alt !== undefined && top !== alt) {
+    errors.push({ field: `${nested}.${nestedKey}`, message: `conflicts with ${topKey}` });
+  }
+  return top !== undefined ? top : alt;
+}
+
+/**
+ * Validate a /match body and normalize it to the shape the pipeline reads:
+ * timeWindow/location are folded into start/end/lat/lng and `service` into
+ * servicesQuery.
+ *
+ * Returns { value, errors } where errors is [{ field, message }] (empty when
+ * the body is valid).
+ */
+export function validateMatchQuery(body) {
+  const errors = [];
+  if (body == null || typeOf(body) !== 'object') {
+    return { value: null, errors: [{ field: '(body)', message: 'must be a JSON object' }] };
+  }
+
+  check(MATCH_QUERY_SCHEMA, body, '', errors);
+
+  if (body.schemaVersion != null && typeof body.schemaVersion === 'string') {
+    const major = body.schemaVersion.split('.')[0];
+    if (major !== QUERY_SCHEMA_VERSION.split('.')[0]) {
+      errors.push({ field: 'schemaVersion', message: `unsupported version (server speaks ${QUERY_SCHEMA_VERSION})` });
+    }
+  }
+
+  const value = { ...body };
+  delete value.timeWindow;
+  delete value.location;
+  delete value.schemaVersion;
+
+  value.start = merge(body, errors, 'start', 'timeWindow', 'start');
+  value.end = merge(body, errors, 'end', 'timeWindow', 'end');
+  value.lat = merge(body, errors, 'lat', 'location', 'lat');
+  value.lng = merge(body, errors, 'lng', 'location', 'lng');
+
+  if ((value.start == null) !== (value.end == null)) {
+    errors.push({ field: value.start == null ? 'start' : 'end', message: 'start and end must be given together' });
+  } else if (value.start && value.end && Date.parse(value.end) <= Date.parse(value.start)) {
+    errors.push({ field: 'end', message: 'must be after start' });
+  }
+  if ((value.lat == null) !== (value.lng == null)) {
+    errors.push({ field: value.lat == null ? 'lat' : 'lng', message: 'lat and lng must be given together' });
+  }
+
+  if (value.minCoverage != null && (value.start == null || value.end == null)) {
+    errors.push({ field: 'minCoverage', message: 'requires start and end' });
+  }
+
+  // Distances are measured from lat/lng, or from the city centre (match.js)
+  const hasOrigin = value.lat != null || Boolean(value.city);
+  if (value.radiusKm != null && !hasOrigin) {
+    errors.push({ field: 'radiusKm', message: 'requires lat/lng or city' });
+  }
+  for (const key of ['constraints', 'preferences']) {
+    if (value[key]?.maxDistanceKm != null && !hasOrigin) {
+      errors.push({ field: `${key}.maxDistanceKm`, message: 'requires lat/lng or city' });
+    }
+  }
+
+  if (value.service && !value.servicesQuery) value.servicesQuery = [value.service];
+  delete value.service;
+
+  for (const key of Object.keys(value)) {
+    if (value[key] === undefined) delete value[key];
+  }
+
+  return { value, errors };
+}
+
+export const MAX_BATCH_SIZE = 100;
+
+// A batch item is a MatchQuery plus an optional client reference echoed back
+export const BATCH_ITEM_SCHEMA = {
+  ...MATCH_QUERY_SCHEMA,
+  properties: {
+    ref: { type: 'string', maxLength: 100, description: 'Client reference echoed in the result' },
+    ...MATCH_QUERY_SCHEMA.properties
+  }
+};
+
+export const BATCH_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['queries'],
+  properties: {
+    queries: { type: 'array', minItems: 1, maxItems: MAX_BATCH_SIZE, items: BATCH_ITEM_SCHEMA },
+    exclusive: {
+      type: 'boolean',
+      default: false,
+      description: 'Never assign the same nurse to two requests with overlapping windows'
+    },
+    concurrency: { type: 'integer', minimum: 1, maximum: 10, description: 'Queries matched in parallel (default BATCH_CONCURRENCY)' }
+  }
+};
+
+/**
+ * Validate a /match/batch body. The envelope fails as a whole; each query is
+ * validated on its own so one bad item does not sink the batch.
+ *
+ * Returns { value: { items: [{ index, ref, query, errors }], exclusive,
+ * concurrency }, errors }.
+ */
+export function validateBatch(body) {
+  const envelope = {
+    ...BATCH_SCHEMA,
+    properties: { ...BATCH_SCHEMA.properties, queries: { ...BATCH_SCHEMA.properties.queries, items: undefined } }
+  };
+  const errors = validateBody(envelope, body);
+  if (errors.length) return { value: null, errors };
+
+  const items = body.queries.map((raw, index) => {
+    if (typeOf(raw) !== 'object') {
+      return { index, ref: null, query: null, errors: [{ field: '(query)', message: 'must be a JSON object' }] };
+    }
+    const { ref, ...rest } = raw;
+    const { value, errors: itemErrors } = validateMatchQuery(rest);
+    if (ref !== undefined && (typeof ref !== 'string' || ref.length > 100)) {
+      itemErrors.push({ field: 'ref', message: 'must be a string of at most 100 characters' });
+    }
+    return { index, ref: ref ?? null, query: value, errors: itemErrors };
+  });
+  return { value: { items, exclusive: Boolean(body.exclusive), concurrency: body.concurrency }, errors };
+}
+
+// A job request is a MatchQuery plus where to send the result
+export const JOB_REQUEST_SCHEMA = {
+  ...MATCH_QUERY_SCHEMA,
+  properties: {
+    callbackUrl: {
+      type: 'string',
+      format: 'uri',
+      maxLength: 2000,
+      description: 'http(s) URL that receives the finished job as a signed POST'
+    },
+    ...MATCH_QUERY_SCHEMA.properties
+  }
+};
+
+/**
+ * Validate a /match/jobs body. Returns { value: { query, callbackUrl }, errors }.
+ */
+export function validateJobRequest(body) {
+  if (typeOf(body) !== 'object') {
+    return { value: null, errors: [{ field: '(body)', message: 'must be a JSON object' }] };
+  }
+  const { callbackUrl, ...rest } = body;
+  const { value: query, errors } = validateMatchQuery(rest);
+  if (callbackUrl !== undefined) {
+    let url = null;
+    try { url = new URL(callbackUrl); } catch { /* reported below */ }
+    if (typeof callbackUrl !== 'string' || !url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push({ field: 'callbackUrl', message: 'must be an http(s) URL' });
+    }
+  }
+  return { value: { query, callbackUrl }, errors };
+}
@@ -0,0 +1,111 @@
+import { haversineKm } from './geo.js';
+import { nurseCoverage } from './availability.js';
+import { applyConstraints } from './constraints.js';
+import { nursesOffering } from './roster.js';
+import {
+  BOOKED_PENALTY,
+  asList,
+  criterionScores,
+  effectiveWeights,
+  queryOrigin,
+  requestedServices,
+  termMatches,
+  weightedScore
+} from './rules.js';
+
+// Candidate retrieval: cheap deterministic filters + scoring so the LLM only
+// sees the best N nurses instead of whatever happens to be first in the roster.
+
+export const DEFAULT_SHORTLIST_SIZE = Number(process.env.SHORTLIST_SIZE) || 10;
+export const MAX_SHORTLIST_SIZE = 50;
+
+// Statuses that take a nurse out of the pool entirely
+const EXCLUDED_STATUSES = new Set(['INACTIVE', 'SUSPENDED', 'DELETED']);
+
+function isEligibleStatus(nurse) {
+  if (nurse.active === false) return false;
+  return !EXCLUDED_STATUSES.has(String(nurse.status || '').toUpperCase());
+}
+
+/**
+ * Filter and rank the roster, returning the best `size` candidates, the
+ * number of nurses left after each stage, and `excluded`: how many nurses
+ * each of query.constraints ruled out (see constraints.js).
+ *
+ * Options (per request, all optional):
+ *  - size: shortlist length passed on to the LLM
+ *  - weights: partial override of the rules engine DEFAULT_WEIGHTS
+ *  - radiusKm: drop candidates farther than this from query.lat/lng, and
+ *    those whose location is unknown
+ *  - minCoverage: share (0..1) of the requested window a nurse must cover;
+ *    by default any overlap is enough
+ *  - bookedIds: Set of nurse ids already assigned in the window
+ *  - bookedPolicy: 'exclude' drops them, 'penalize' scores them down
+ *  - index: roster index from roster.js; speeds up the services stage
+ */
+export function shortlistCandidates(query, nurses, options = {}) {
+  const size = Math.min(Math.max(1, Number(options.size) || DEFAULT_SHORTLIST_SIZE), MAX_SHORTLIST_SIZE);
+  const weights = effectiveWeights(query, options.weights);
+  const radiusKm = options.radiusKm != null ? Number(options.radiusKm) : null;
+  const minCoverage = Number(options.minCoverage) || 0;
+
+  const wanted = [...requestedServices(query), ...asList(query.expertiseQuery)];
+  const o = queryOrigin(query);
+
+  const stages = { loaded: nurses.length };
+
+  let pool = nurses.filter(isEligibleStatus);
+  stages.afterStatus = pool.length;
+
+  const { pool: allowed, excluded } = applyConstraints(pool, query.constraints, o);
+  pool = allowed;
+  stages.afterConstraints = pool.length;
+
+  if (wanted.length && options.index) {
+    const offering = nursesOffering(options.index, wanted);
+    pool = pool.filter(n => offering.has(n));
+  } else if (wanted.length) {
+    pool = pool.filter(n => {
+      const offered = [...asList(n.services), ...asList(n.expertiseTags)];
+      return wanted.some(w => termMatches(w, offered));
+    });
+  }
+  stages.afterServices = pool.length;
+
+  if (o && radiusKm) {
+    pool = pool.filter(n => {
+      const d = haversineKm(o, n);
+      return d != null && d <= radiusKm;
+    });
+  }
+  stages.afterDistance = pool.length;
+
+  // Unknown availability (null) stays in the pool
+  if (query.start && query.end) {
+    pool = pool.filter(n => {
+      const c = nurseCoverage(n, query.start, query.end);
+      return c == null || (minCoverage > 0 ? c >= minCoverage : c > 0);
+    });
+  }
+  stages.afterAvailability = pool.length;
+
+  const bookedIds = options.bookedIds || new Set();
+  if (bookedIds.size && options.bookedPolicy === 'exclude') {
+    pool = pool.filter(n => !bookedIds.has(n.id));
+  }
+  stages.afterBookings = pool.length;
+
+  const penalize = options.bookedPolicy === 'penalize';
+  const ranked = pool
+    .map(n => {
+      const scores = criterionScores(query, n, { radiusKm });
+      const penalty = penalize && bookedIds.has(n.id) ? BOOKED_PENALTY : 1;
+      return { nurse: n, score: weightedScore(scores, weights) * penalty };
+    })
+    .sort((a, b) => b.score - a.score || String(a.nurse.id).localeCompare(String(b.nurse.id)));
+
+  const candidates = ranked.slice(0, size).map(r => r.nurse);
+  stages.shortlisted = candidates.length;
+
+  return { candidates, stages, excluded };
+}
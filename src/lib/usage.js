@@ -0,0 +1,237 @@
+import { promises as fs } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './log.js';
+
+// Token, cost, latency and retry accounting for LLM calls. llm.js describes
+// each provider call with callUsage() and sums a match's calls into its
+// `usage`; match.js hands that to recordUsage(), which keeps per-day totals by
+// client (API key id), prompt version and model for GET /metrics/usage.
+// Totals live in process memory for USAGE_RETENTION_DAYS and reset on restart.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const PRICES_FILE = process.env.LLM_PRICES_FILE ||
+  join(__dirname, '..', '..', 'config', 'llm-prices.json');
+
+const RETENTION_DAYS = Number(process.env.USAGE_RETENTION_DAYS) || 31;
+
+let cachedPrices = null; // { mtimeMs, models }
+let warnedNoPrices = false;
+const buckets = new Map(); // "day|client|promptVersion|model" -> totals
+
+/**
+ * Model -> { inputPerMillion, outputPerMillion } from PRICES_FILE, re-read
+ * when the file changes. Without the file nothing is priced.
+ */
+export async function loadPriceTable() {
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = await fs.stat(PRICES_FILE));
+  } catch {
+    if (!warnedNoPrices) log.warn('No LLM price table, costs are not estimated', { file: PRICES_FILE });
+    warnedNoPrices = true;
+    return {};
+  }
+  if (cachedPrices?.mtimeMs !== mtimeMs) {
+    const file = JSON.parse(await fs.readFile(PRICES_FILE, 'utf8'));
+    const bad = Object.entries(file.models || {})
+      .filter(([, p]) => !Number.isFinite(p?.inputPerMillion) || !Number.isFinite(p?.outputPerMillion))
+      .map(([model]) => model);
+    if (bad.length) {
+      throw new Error(`Invalid LLM price table ${PRICES_FILE}: ${bad.join(', ')} need numeric inputPerMillion and outputPerMillion`);
+    }
+    cachedPrices = { mtimeMs, models: file.models || {} };
+  }
+  return cachedPrices.models;
+}
+
+// Exact name, else the longest table entry the model name starts with
+function priceOf(prices, model) {
+  if (!model) return null;
+  const name = String(model).toLowerCase();
+  if (prices[name]) return prices[name];
+  const prefix = Object.keys(prices)
+    .filter(key => name.startsWith(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+// Token counts from a raw provider response: Chat Completions reports
+// prompt/completion_tokens, the Responses API input/output_tokens. Streamed
+// answers carry them only with LLM_STREAM_USAGE=true.
+function tokensOf(raw) {
+  const u = raw?.usage ?? raw?.last?.usage;
+  if (!u) return null;
+  const promptTokens = u.prompt_tokens ?? u.input_tokens ?? 0;
+  const completionTokens = u.completion_tokens ?? u.output_tokens ?? 0;
+  return { promptTokens, completionTokens, totalTokens: u.total_tokens ?? promptTokens + completionTokens };
+}
+
+/**
+ * One provider call: tokens, estimated cost, latency and retries. The model
+ * is LLM_PRICE_MODEL, else what the response (or its last stream chunk)
+ * names, else the provider's configured model; costUsd is null when the
+ * tokens or the price are unknown.
+ */
+export function callUsage({ kind, result, latencyMs, provider, prices }) {
+  const model = process.env.LLM_PRICE_MODEL || result.raw?.model || result.raw?.last?.model || provider.model || null;
+  const tokens = tokensOf(result.raw);
+  const price = priceOf(prices, model);
+  return {
+    kind,
+    model,
+    ok: Boolean(result.ok),
+    promptTokens: tokens?.promptTokens ?? null,
+    completionTokens: tokens?.completionTokens ?? null,
+    totalTokens: tokens?.totalTokens ?? null,
+    costUsd: tokens && price
+      ? (tokens.promptTokens * price.inputPerMillion + tokens.completionTokens * price.outputPerMillion) / 1e6
+      : null,
+    latencyMs: Math.round(latencyMs),
+    retries: Math.max(0, (result.attempts ?? 1) - 1)
+  };
+}
+
+/**
+ * A match's usage: `perCall` plus sums over it. Token and cost sums stay null
+ * when no call reported them.
+ */
+export function sumUsage(perCall) {
+  const usage = {
+    calls: perCall.length,
+    promptTokens: null,
+    completionTokens: null,
+    totalTokens: null,
+    costUsd: null,
+    latencyMs: 0,
+    retries: 0,
+    model: perCall.find(c => c.model)?.model ?? null,
+    perCall
+  };
+  for (const call of perCall) {
+    for (const key of ['promptTokens', 'completionTokens', 'totalTokens', 'costUsd']) {
+      if (call[key] != null) usage[key] = (usage[key] ?? 0) + call[key];
+    }
+    usage.latencyMs += call.latencyMs;
+    usage.retries += call.retries;
+  }
+  if (usage.costUsd != null) usage.costUsd = Number(usage.costUsd.toFixed(6));
+  return usage;
+}
+
+function utcDay(at = Date.now()) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+function prune(today) {
+  const oldest = utcDay(Date.parse(today) - (RETENTION_DAYS - 1) * 86_400_000);
+  for (const [key, bucket] of buckets) {
+    if (bucket.day < oldest) buckets.delete(key);
+  }
+}
+
+/**
+ * Add one match's LLM usage to the day's totals for its client and prompt
+ * version (one bucket per model it called). Cache hits count as cached
+ * requests with no calls.
+ */
+export function recordUsage({ client, promptVersion, usage, cached = false }) {
+  if (!usage) return;
+  const day = utcDay();
+  const models = usage.perCall.length ? [...new Set(usage.perCall.map(c => c.model))] : [usage.model];
+  models.forEach((model, i) => {
+    const key = [day, client || 'anonymous', promptVersion || '', model || ''].join('|');
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = {
+        day,
+        client: client || 'anonymous',
+        promptVersion: promptVersion || null,
+        model: model || null,
+        requests: 0,
+        cachedRequests: 0,
+        calls: 0,
+        failedCalls: 0,
+        retries: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        unreportedCalls: 0,
+        costUsd: 0,
+        unpricedCalls: 0,
+        latencyMs: 0,
+        maxLatencyMs: 0
+      };
+      prune(day);
+      buckets.set(key, bucket);
+    }
+    // A request counts once, in the bucket of the first model it called
+    if (i === 0) {
+      bucket.requests++;
+      if (cached) bucket.cachedRequests++;
+    }
+    for (const call of usage.perCall.filter(c => c.model === model)) {
+      bucket.calls++;
+      if (!call.ok) bucket.failedCalls++;
+      bucket.retries += call.retries;
+      if (call.totalTokens == null) {
+        bucket.unreportedCalls++;
+      } else {
+        bucket.promptTokens += call.promptTokens;
+        bucket.completionTokens += call.completionTokens;
+        bucket.totalTokens += call.totalTokens;
+      }
+      if (call.costUsd == null) bucket.unpricedCalls++;
+      else bucket.costUsd += call.costUsd;
+      bucket.latencyMs += call.latencyMs;
+      bucket.maxLatencyMs = Math.max(bucket.maxLatencyMs, call.latencyMs);
+    }
+  });
+}
+
+const SUMMED = [
+  'requests', 'cachedRequests', 'calls', 'failedCalls', 'retries', 'promptTokens', 'completionTokens',
+  'totalTokens', 'unreportedCalls', 'costUsd', 'unpricedCalls', 'latencyMs'
+];
+
+const zeroTotals = () => ({ ...Object.fromEntries(SUMMED.map(k => [k, 0])), maxLatencyMs: 0 });
+
+// Sum rows per value of `dimension`, or into one group without it
+function rollUp(rows, dimension) {
+  const groups = new Map();
+  if (!dimension) groups.set('total', zeroTotals());
+  for (const row of rows) {
+    const name = dimension ? row[dimension] : 'total';
+    if (!groups.has(name)) groups.set(name, { [dimension]: name, ...zeroTotals() });
+    const group = groups.get(name);
+    for (const key of SUMMED) group[key] += row[key];
+    group.maxLatencyMs = Math.max(group.maxLatencyMs, row.maxLatencyMs);
+  }
+  return [...groups.values()].map(({ latencyMs, ...group }) => ({
+    ...group,
+    costUsd: Number(group.costUsd.toFixed(6)),
+    meanLatencyMs: group.calls ? Math.round(latencyMs / group.calls) : null
+  }));
+}
+
+/**
+ * Totals since `from` (YYYY-MM-DD, default 7 days ago), optionally for one
+ * client, overall and per day, client, prompt version and model.
+ */
+export function usageMetrics({ from, client } = {}) {
+  const since = from || utcDay(Date.now() - 6 * 86_400_000);
+  const rows = [...buckets.values()]
+    .filter(b => b.day >= since && (!client || b.client === client))
+    .sort((a, b) => a.day.localeCompare(b.day));
+  const byCost = (a, b) => b.costUsd - a.costUsd || b.calls - a.calls;
+  return {
+    since,
+    retentionDays: RETENTION_DAYS,
+    totals: rollUp(rows)[0],
+    byDay: rollUp(rows, 'day'),
+    byClient: rollUp(rows, 'client').sort(byCost),
+    byPromptVersion: rollUp(rows, 'promptVersion').sort(byCost),
+    byModel: rollUp(rows, 'model').sort(byCost)
+  };
+}
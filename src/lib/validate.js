@@ -0,0 +1,166 @@
+// Validation and repair of LLM match output. The model is asked for
+// {"results":[{id,score,reason}]} but may wrap it in markdown, invent ids,
+// skip scores or repeat candidates; everything here is defensive.
+
+export const MATCH_OUTPUT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['results'],
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'score', 'reason'],
+        properties: {
+          id: { type: 'string' },
+          score: { type: 'number', description: 'Match quality from 0 to 1' },
+          reason: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Slice out the first balanced {...} or [...] block, respecting strings
+function firstJsonBlock(text) {
+  const start = text.search(/[{[]/);
+  if (start < 0) return null;
+  const open = text[start];
+  const close = open === '{' ? '}' : ']';
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === open) depth++;
+    else if (ch === close && --depth === 0) return text.slice(start, i + 1);
+  }
+  return null;
+}
+
+/**
+ * Pull a JSON value out of model text: bare JSON, ```json fenced blocks, or
+ * JSON surrounded by prose. Returns undefined when nothing parses.
+ */
+export function extractJson(text) {
+  if (text && typeof text === 'object') return text;
+  if (typeof text !== 'string') return undefined;
+
+  const attempts = [text.trim()];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) attempts.push(fenced[1].trim());
+  const block = firstJsonBlock(fenced ? fenced[1] : text);
+  if (block) attempts.push(block);
+
+  for (const candidate of attempts) {
+    try { return JSON.parse(candidate); } catch { /* try next */ }
+  }
+  return undefined;
+}
+
+/**
+ * Result objects that are already complete in a partial (still streaming)
+ * answer: every balanced {...} directly inside the "results" array.
+ * Unparseable items are skipped; the final answer is validated as a whole.
+ */
+export function completedResultItems(text) {
+  const key = text.search(/"results"\s*:\s*\[/);
+  if (key < 0) return [];
+  const items = [];
+  let i = text.indexOf('[', key) + 1;
+  let depth = 0;
+  let inString = false;
+  let itemStart = -1;
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') {
+      if (depth === 0 && ch === '{') itemStart = i;
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      if (depth === 0) break; // end of the results array
+      if (--depth === 0 && itemStart >= 0) {
+        try { items.push(JSON.parse(text.slice(itemStart, i + 1))); } catch { /* skip */ }
+        itemStart = -1;
+      }
+    }
+  }
+  return items;
+}
+
+/**
+ * Validate parsed output against MATCH_OUTPUT_SCHEMA and the candidate list.
+ *
+ * Returns { results, errors, dropped }:
+ *  - results: cleaned [{ id, score, reason }], scores clamped to 0..1, deduped
+ *    by id (best score wins), sorted best first
+ *  - errors:  human-readable problems, suitable for a repair prompt
+ *  - dropped: [{ id, reason }] entries removed (unknown id, duplicate, ...)
+ */
+export function validateMatchOutput(parsed, candidateIds) {
+  const errors = [];
+  const dropped = [];
+  const known = new Set(candidateIds.map(String));
+
+  // Accept a bare array as the results list
+  const payload = Array.isArray(parsed) ? { results: parsed } : parsed;
+  if (!payload || typeof payload !== 'object') {
+    return { results: [], errors: ['Output is not a JSON object'], dropped };
+  }
+  if (!Array.isArray(payload.results)) {
+    return { results: [], errors: ['Missing "results" array'], dropped };
+  }
+
+  const byId = new Map();
+  payload.results.forEach((item, idx) => {
+    if (!item || typeof item !== 'object') {
+      errors.push(`results[${idx}] is not an object`);
+      return;
+    }
+    const id = item.id == null ? '' : String(item.id);
+    if (!id) {
+      errors.push(`results[${idx}] has no id`);
+      return;
+    }
+    if (!known.has(id)) {
+      errors.push(`results[${idx}].id "${id}" is not one of the candidates`);
+      dropped.push({ id, reason: 'unknown id' });
+      return;
+    }
+
+    let score = Number(item.score);
+    if (item.score == null || !Number.isFinite(score)) {
+      errors.push(`results[${idx}].score is missing or not a number`);
+      score = 0;
+    } else if (score < 0 || score > 1) {
+      errors.push(`results[${idx}].score ${item.score} is outside 0..1`);
+      score = Math.min(1, Math.max(0, score));
+    }
+
+    const reason = typeof item.reason === 'string' ? item.reason : '';
+    if (!reason) errors.push(`results[${idx}].reason is missing`);
+
+    const prev = byId.get(id);
+    if (prev) {
+      errors.push(`results[${idx}].id "${id}" is a duplicate`);
+      dropped.push({ id, reason: 'duplicate' });
+      if (prev.score >= score) return;
+    }
+    byId.set(id, { id, score, reason });
+  });
+
+  const results = [...byId.values()].sort((a, b) => b.score - a.score);
+  return { results, errors, dropped };
+}